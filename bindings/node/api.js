@@ -0,0 +1,128 @@
+// Parsing entry point and tree queries. Parses with the native `tree-sitter`
+// bindings, or with `web-tree-sitter` when only the WASM build is available;
+// both are optional peer dependencies, loaded on first use.
+
+const { wrap } = require('./ast');
+
+let parser = null;
+
+/**
+ * Loads the language. Only needed, and then required before parse(), when
+ * running on the WASM build; resolves immediately with a native addon.
+ */
+async function init(options) {
+  const binding = require('./index');
+  if (binding.wasm) await binding.load(options);
+}
+
+function createParser() {
+  const binding = require('./index');
+  if (!binding.wasm) {
+    const Parser = require('tree-sitter');
+    const nativeParser = new Parser();
+    nativeParser.setLanguage(binding);
+    return nativeParser;
+  }
+  // Set by load() on bindings/wasm, not on the object index.js exports
+  const { language } = require('../wasm');
+  if (!language) {
+    throw new Error('tree-sitter-apx: no native addon was built; call `await init()` to load the WASM build before parse()');
+  }
+  const Parser = require('web-tree-sitter');
+  const wasmParser = new Parser();
+  wasmParser.setLanguage(language);
+  return wasmParser;
+}
+
+/**
+ * Parses ApX source. Pass the previous tree (after `tree.edit(...)`) to
+ * reparse incrementally.
+ */
+function parse(source, oldTree) {
+  if (!parser) parser = createParser();
+  return parser.parse(source, oldTree);
+}
+
+const rootNode = (tree) => tree.rootNode || tree;
+
+// Strips the quotes of a string node: "name", 'name', """name""", r"name"
+const unquote = (text) => text.replace(/^(r#*"|"""|["'`])/, '').replace(/("#*|"""|["'`])$/, '');
+
+const DEFINITION_KINDS = {
+  function_definition: 'function',
+  macro_definition: 'macro',
+  alias_definition: 'alias',
+  enum_definition: 'enum',
+  object_definition: 'object',
+  object_method: 'method',
+  test_definition: 'test',
+};
+
+/**
+ * Functions, macros, aliases, enums, objects, object methods and tests, in
+ * source order. Test names are their unquoted description string.
+ */
+function definitions(tree) {
+  return rootNode(tree).descendantsOfType(Object.keys(DEFINITION_KINDS)).map((node) => {
+    const nameNode = node.type === 'test_definition'
+      ? node.namedChildren.find((c) => c.type === 'string')
+      : node.namedChildren.find((c) => c.type === 'identifier');
+    const name = nameNode ? nameNode.text : null;
+    return {
+      kind: DEFINITION_KINDS[node.type],
+      name: name && node.type === 'test_definition' ? unquote(name) : name,
+      node: wrap(node),
+    };
+  });
+}
+
+const importItem = (item) => {
+  const [name, alias] = item.namedChildren.filter((c) => c.type === 'identifier');
+  return { name: name.text, alias: alias ? alias.text : null };
+};
+
+/**
+ * `use`, `from ... import` and `source` statements with their module source
+ * (module path, relative path or unquoted string) and imported names. The
+ * source is null when error recovery left the statement without one.
+ */
+function imports(tree) {
+  return rootNode(tree).descendantsOfType(['import_statement', 'source_statement']).map((node) => {
+    const sourceNode = node.namedChildren.find((c) => ['module_path', 'relative_path', 'string'].includes(c.type));
+    let source = null;
+    if (sourceNode) source = sourceNode.type === 'string' ? unquote(sourceNode.text) : sourceNode.text;
+
+    if (node.type === 'source_statement') {
+      const alias = node.namedChildren.find((c) => c.type === 'identifier');
+      return { kind: 'source', source, items: [], wildcard: false, alias: alias ? alias.text : null, node: wrap(node) };
+    }
+
+    const list = node.namedChildren.find((c) => c.type === 'import_list' || c.type === 'import_group');
+    return {
+      kind: node.child(0).type,
+      source,
+      items: list ? list.namedChildren.filter((c) => c.type === 'import_item').map(importItem) : [],
+      wildcard: list ? list.text === '*' : false,
+      alias: null,
+      node: wrap(node),
+    };
+  });
+}
+
+/**
+ * Names of the commands invoked anywhere in the tree, deduplicated in order
+ * of first use. Look them up in `builtinCommands` to tell built-ins apart.
+ */
+function commandsUsed(tree) {
+  const names = rootNode(tree).descendantsOfType('command_name').map((node) => node.text);
+  return [...new Set(names)];
+}
+
+module.exports = {
+  init,
+  parse,
+  wrap,
+  definitions,
+  imports,
+  commandsUsed,
+};
@@ -0,0 +1,92 @@
+// Typed facade over tree-sitter syntax nodes. One class per named node type is
+// built from src/node-types.json, with a getter for each child type it can
+// hold: `identifier` returns the first identifier child, `identifiers` all of
+// them (the plural exists only where the node may repeat children).
+// Types for these classes are generated into index.d.ts by scripts/generate-types.js.
+
+const nodeTypes = require('../../src/node-types.json');
+
+class AstNode {
+  constructor(node) {
+    this.node = node;
+  }
+
+  get type() { return this.node.type; }
+  get text() { return this.node.text; }
+  get startIndex() { return this.node.startIndex; }
+  get endIndex() { return this.node.endIndex; }
+  get startPosition() { return this.node.startPosition; }
+  get endPosition() { return this.node.endPosition; }
+  get parent() { return wrap(this.node.parent); }
+  get children() { return this.node.namedChildren.map(wrap); }
+
+  hasError() { return this.node.hasError(); }
+
+  childOfType(type) {
+    const child = this.node.namedChildren.find((c) => c.type === type);
+    return child ? wrap(child) : null;
+  }
+
+  childrenOfType(type) {
+    return this.node.namedChildren.filter((c) => c.type === type).map(wrap);
+  }
+
+  toString() { return this.node.toString(); }
+}
+
+const camelCase = (type) => type.replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase());
+const className = (type) => camelCase(type).replace(/^./, (c) => c.toUpperCase()) + 'Node';
+
+// Named child types with whether they can repeat, from children and fields
+function childTypes(info) {
+  const result = new Map();
+  const groups = [info.children, ...Object.values(info.fields || {})].filter(Boolean);
+  for (const group of groups) {
+    for (const child of group.types) {
+      if (child.named) result.set(child.type, result.get(child.type) || group.multiple);
+    }
+  }
+  return result;
+}
+
+const NODE_CLASSES = {};
+
+for (const info of nodeTypes) {
+  if (!info.named || info.subtypes) continue;
+  const NodeClass = class extends AstNode {};
+  Object.defineProperty(NodeClass, 'name', { value: className(info.type) });
+
+  for (const [type, multiple] of childTypes(info)) {
+    const getter = camelCase(type);
+    if (getter in AstNode.prototype) continue;
+    Object.defineProperty(NodeClass.prototype, getter, {
+      get() { return this.childOfType(type); },
+    });
+    if (multiple && !(`${getter}s` in AstNode.prototype)) {
+      Object.defineProperty(NodeClass.prototype, `${getter}s`, {
+        get() { return this.childrenOfType(type); },
+      });
+    }
+  }
+  NODE_CLASSES[info.type] = NodeClass;
+}
+
+/**
+ * Wraps a tree or syntax node in its typed facade class.
+ * Nodes whose type is missing from node-types.json (ERROR, MISSING) get a plain AstNode.
+ */
+function wrap(treeOrNode) {
+  if (!treeOrNode) return null;
+  const node = treeOrNode.rootNode || treeOrNode;
+  const NodeClass = NODE_CLASSES[node.type] || AstNode;
+  return new NodeClass(node);
+}
+
+module.exports = {
+  AstNode,
+  NODE_CLASSES,
+  wrap,
+  camelCase,
+  className,
+  childTypes,
+};
@@ -0,0 +1,2262 @@
+// Generated by scripts/generate-types.js from src/node-types.json - do not edit.
+
+// Trees come from tree-sitter or web-tree-sitter, both optional peers, so they
+// are typed by the members used here rather than by importing either package.
+
+export interface Point {
+  row: number;
+  column: number;
+}
+
+export interface Edit {
+  startIndex: number;
+  oldEndIndex: number;
+  newEndIndex: number;
+  startPosition: Point;
+  oldEndPosition: Point;
+  newEndPosition: Point;
+}
+
+export interface Tree {
+  readonly rootNode: SyntaxNode;
+  edit(edit: Edit): unknown;
+}
+
+export interface SyntaxNode {
+  readonly type: string;
+  readonly text: string;
+  readonly startIndex: number;
+  readonly endIndex: number;
+  readonly startPosition: Point;
+  readonly endPosition: Point;
+  readonly parent: SyntaxNode | null;
+  readonly children: SyntaxNode[];
+  readonly namedChildren: SyntaxNode[];
+  child(index: number): SyntaxNode | null;
+  descendantsOfType(types: string | string[], startPosition?: Point, endPosition?: Point): SyntaxNode[];
+  hasError(): boolean;
+  toString(): string;
+}
+
+export declare const name: "apx";
+export declare const nodeTypeInfo: NodeTypeInfo[];
+export declare const builtinCommands: BuiltinCatalog;
+
+/** Set when no native addon was built and the WASM build is used instead. */
+export declare const wasm: true | undefined;
+
+/** Loads the WASM build; must be awaited before parse() when `wasm` is set. */
+export declare function init(options?: LoadOptions): Promise<void>;
+
+/** Parses ApX source; pass the edited previous tree to reparse incrementally. */
+export declare function parse(source: string, oldTree?: Tree): Tree;
+
+/** Wraps a tree or syntax node in its typed facade. */
+export declare function wrap(tree: Tree): SourceFileNode;
+export declare function wrap(node: SyntaxNode): AnyNode;
+
+export declare function definitions(tree: Tree | SyntaxNode): Definition[];
+export declare function imports(tree: Tree | SyntaxNode): Import[];
+export declare function commandsUsed(tree: Tree | SyntaxNode): string[];
+
+/** Same as LoadOptions in bindings/wasm. */
+export interface LoadOptions {
+  /** File path (Node) or URL (browser) of tree-sitter-apx.wasm. */
+  wasmPath?: string;
+  /** Passed to Parser.init to locate web-tree-sitter's own tree-sitter.wasm. */
+  locateFile?: (scriptName: string, scriptDirectory: string) => string;
+}
+
+export interface NodeTypeInfo {
+  type: string;
+  named: boolean;
+  fields?: Record<string, NodeTypeChildren>;
+  children?: NodeTypeChildren;
+  subtypes?: { type: string; named: boolean }[];
+}
+
+export interface NodeTypeChildren {
+  multiple: boolean;
+  required: boolean;
+  types: { type: string; named: boolean }[];
+}
+
+export interface BuiltinCatalog {
+  version: string;
+  categories: Record<string, { description: string; commands: string[] }>;
+}
+
+export interface Definition {
+  kind: "function" | "macro" | "alias" | "enum" | "object" | "method" | "test";
+  name: string | null;
+  node: AnyNode;
+}
+
+export interface Import {
+  kind: "use" | "from" | "source";
+  source: string | null;
+  items: { name: string; alias: string | null }[];
+  wildcard: boolean;
+  alias: string | null;
+  node: ImportStatementNode | SourceStatementNode;
+}
+
+export interface AstNode<T extends string = string> {
+  readonly node: SyntaxNode;
+  readonly type: T;
+  readonly text: string;
+  readonly startIndex: number;
+  readonly endIndex: number;
+  readonly startPosition: Point;
+  readonly endPosition: Point;
+  readonly parent: AnyNode | null;
+  readonly children: AnyNode[];
+  hasError(): boolean;
+  childOfType<K extends NodeType>(type: K): NodeTypeMap[K] | null;
+  childrenOfType<K extends NodeType>(type: K): NodeTypeMap[K][];
+}
+
+
+export interface AliasDefinitionNode extends AstNode<"alias_definition"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly awaitExpressions: AwaitExpressionNode[];
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly binaryExpressions: BinaryExpressionNode[];
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly commandExpressions: CommandExpressionNode[];
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+  readonly ifStatement: IfStatementNode | null;
+  readonly ifStatements: IfStatementNode[];
+  readonly matchStatement: MatchStatementNode | null;
+  readonly matchStatements: MatchStatementNode[];
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly parallelBlocks: ParallelBlockNode[];
+  readonly pipeline: PipelineNode | null;
+  readonly pipelines: PipelineNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly spawnExpressions: SpawnExpressionNode[];
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly ternaryExpressions: TernaryExpressionNode[];
+  readonly tryStatement: TryStatementNode | null;
+  readonly tryStatements: TryStatementNode[];
+  readonly unaryExpression: UnaryExpressionNode | null;
+  readonly unaryExpressions: UnaryExpressionNode[];
+  readonly visibilityModifier: VisibilityModifierNode | null;
+  readonly visibilityModifiers: VisibilityModifierNode[];
+}
+
+export interface AlternativePatternNode extends AstNode<"alternative_pattern"> {
+  readonly boolean: BooleanNode | null;
+  readonly booleans: BooleanNode[];
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+  readonly listPattern: ListPatternNode | null;
+  readonly listPatterns: ListPatternNode[];
+  readonly negativeNumber: NegativeNumberNode | null;
+  readonly negativeNumbers: NegativeNumberNode[];
+  readonly null: NullNode | null;
+  readonly nulls: NullNode[];
+  readonly number: NumberNode | null;
+  readonly numbers: NumberNode[];
+  readonly rangePattern: RangePatternNode | null;
+  readonly rangePatterns: RangePatternNode[];
+  readonly recordPattern: RecordPatternNode | null;
+  readonly recordPatterns: RecordPatternNode[];
+  readonly regexPattern: RegexPatternNode | null;
+  readonly regexPatterns: RegexPatternNode[];
+  readonly string: StringNode | null;
+  readonly strings: StringNode[];
+  readonly tuplePattern: TuplePatternNode | null;
+  readonly tuplePatterns: TuplePatternNode[];
+  readonly typedRecordPattern: TypedRecordPatternNode | null;
+  readonly typedRecordPatterns: TypedRecordPatternNode[];
+  readonly variable: VariableNode | null;
+  readonly variables: VariableNode[];
+  readonly variantPattern: VariantPatternNode | null;
+  readonly variantPatterns: VariantPatternNode[];
+}
+
+export interface ArgumentNode extends AstNode<"argument"> {
+  readonly flag: FlagNode | null;
+  readonly flagWithValue: FlagWithValueNode | null;
+  readonly identifier: IdentifierNode | null;
+  readonly pathArgument: PathArgumentNode | null;
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly spreadElement: SpreadElementNode | null;
+}
+
+export interface ArgumentListNode extends AstNode<"argument_list"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly awaitExpressions: AwaitExpressionNode[];
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly binaryExpressions: BinaryExpressionNode[];
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly commandExpressions: CommandExpressionNode[];
+  readonly ifStatement: IfStatementNode | null;
+  readonly ifStatements: IfStatementNode[];
+  readonly matchStatement: MatchStatementNode | null;
+  readonly matchStatements: MatchStatementNode[];
+  readonly namedArgument: NamedArgumentNode | null;
+  readonly namedArguments: NamedArgumentNode[];
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly parallelBlocks: ParallelBlockNode[];
+  readonly pipeline: PipelineNode | null;
+  readonly pipelines: PipelineNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly spawnExpressions: SpawnExpressionNode[];
+  readonly spreadElement: SpreadElementNode | null;
+  readonly spreadElements: SpreadElementNode[];
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly ternaryExpressions: TernaryExpressionNode[];
+  readonly tryStatement: TryStatementNode | null;
+  readonly tryStatements: TryStatementNode[];
+  readonly unaryExpression: UnaryExpressionNode | null;
+  readonly unaryExpressions: UnaryExpressionNode[];
+}
+
+export interface AssignmentNode extends AstNode<"assignment"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly awaitExpressions: AwaitExpressionNode[];
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly binaryExpressions: BinaryExpressionNode[];
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly commandExpressions: CommandExpressionNode[];
+  readonly heredocBody: HeredocBodyNode | null;
+  readonly heredocBodys: HeredocBodyNode[];
+  readonly heredocEnd: HeredocEndNode | null;
+  readonly heredocEnds: HeredocEndNode[];
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+  readonly ifStatement: IfStatementNode | null;
+  readonly ifStatements: IfStatementNode[];
+  readonly listPattern: ListPatternNode | null;
+  readonly listPatterns: ListPatternNode[];
+  readonly matchStatement: MatchStatementNode | null;
+  readonly matchStatements: MatchStatementNode[];
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly parallelBlocks: ParallelBlockNode[];
+  readonly pipeline: PipelineNode | null;
+  readonly pipelines: PipelineNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+  readonly recordPattern: RecordPatternNode | null;
+  readonly recordPatterns: RecordPatternNode[];
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly spawnExpressions: SpawnExpressionNode[];
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly ternaryExpressions: TernaryExpressionNode[];
+  readonly tryStatement: TryStatementNode | null;
+  readonly tryStatements: TryStatementNode[];
+  readonly tuplePattern: TuplePatternNode | null;
+  readonly tuplePatterns: TuplePatternNode[];
+  readonly unaryExpression: UnaryExpressionNode | null;
+  readonly unaryExpressions: UnaryExpressionNode[];
+}
+
+export interface AwaitExpressionNode extends AstNode<"await_expression"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly ifStatement: IfStatementNode | null;
+  readonly matchStatement: MatchStatementNode | null;
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly tryStatement: TryStatementNode | null;
+  readonly unaryExpression: UnaryExpressionNode | null;
+}
+
+export interface BacktickStringNode extends AstNode<"backtick_string"> {}
+
+export interface BinaryExpressionNode extends AstNode<"binary_expression"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly awaitExpressions: AwaitExpressionNode[];
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly binaryExpressions: BinaryExpressionNode[];
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly commandExpressions: CommandExpressionNode[];
+  readonly ifStatement: IfStatementNode | null;
+  readonly ifStatements: IfStatementNode[];
+  readonly implicitField: ImplicitFieldNode | null;
+  readonly implicitFields: ImplicitFieldNode[];
+  readonly matchStatement: MatchStatementNode | null;
+  readonly matchStatements: MatchStatementNode[];
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly parallelBlocks: ParallelBlockNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly spawnExpressions: SpawnExpressionNode[];
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly ternaryExpressions: TernaryExpressionNode[];
+  readonly tryStatement: TryStatementNode | null;
+  readonly tryStatements: TryStatementNode[];
+  readonly unaryExpression: UnaryExpressionNode | null;
+  readonly unaryExpressions: UnaryExpressionNode[];
+}
+
+export interface BindingPatternNode extends AstNode<"binding_pattern"> {
+  readonly boolean: BooleanNode | null;
+  readonly booleans: BooleanNode[];
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+  readonly listPattern: ListPatternNode | null;
+  readonly listPatterns: ListPatternNode[];
+  readonly negativeNumber: NegativeNumberNode | null;
+  readonly negativeNumbers: NegativeNumberNode[];
+  readonly null: NullNode | null;
+  readonly nulls: NullNode[];
+  readonly number: NumberNode | null;
+  readonly numbers: NumberNode[];
+  readonly rangePattern: RangePatternNode | null;
+  readonly rangePatterns: RangePatternNode[];
+  readonly recordPattern: RecordPatternNode | null;
+  readonly recordPatterns: RecordPatternNode[];
+  readonly regexPattern: RegexPatternNode | null;
+  readonly regexPatterns: RegexPatternNode[];
+  readonly string: StringNode | null;
+  readonly strings: StringNode[];
+  readonly tuplePattern: TuplePatternNode | null;
+  readonly tuplePatterns: TuplePatternNode[];
+  readonly typedRecordPattern: TypedRecordPatternNode | null;
+  readonly typedRecordPatterns: TypedRecordPatternNode[];
+  readonly variable: VariableNode | null;
+  readonly variables: VariableNode[];
+  readonly variantPattern: VariantPatternNode | null;
+  readonly variantPatterns: VariantPatternNode[];
+}
+
+export interface BlockNode extends AstNode<"block"> {
+  readonly aliasDefinition: AliasDefinitionNode | null;
+  readonly aliasDefinitions: AliasDefinitionNode[];
+  readonly assignment: AssignmentNode | null;
+  readonly assignments: AssignmentNode[];
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly awaitExpressions: AwaitExpressionNode[];
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly binaryExpressions: BinaryExpressionNode[];
+  readonly breakStatement: BreakStatementNode | null;
+  readonly breakStatements: BreakStatementNode[];
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly commandExpressions: CommandExpressionNode[];
+  readonly compoundAssignment: CompoundAssignmentNode | null;
+  readonly compoundAssignments: CompoundAssignmentNode[];
+  readonly continueStatement: ContinueStatementNode | null;
+  readonly continueStatements: ContinueStatementNode[];
+  readonly decoratedDefinition: DecoratedDefinitionNode | null;
+  readonly decoratedDefinitions: DecoratedDefinitionNode[];
+  readonly enumDefinition: EnumDefinitionNode | null;
+  readonly enumDefinitions: EnumDefinitionNode[];
+  readonly forStatement: ForStatementNode | null;
+  readonly forStatements: ForStatementNode[];
+  readonly functionDefinition: FunctionDefinitionNode | null;
+  readonly functionDefinitions: FunctionDefinitionNode[];
+  readonly ifStatement: IfStatementNode | null;
+  readonly ifStatements: IfStatementNode[];
+  readonly importStatement: ImportStatementNode | null;
+  readonly importStatements: ImportStatementNode[];
+  readonly loopStatement: LoopStatementNode | null;
+  readonly loopStatements: LoopStatementNode[];
+  readonly macroDefinition: MacroDefinitionNode | null;
+  readonly macroDefinitions: MacroDefinitionNode[];
+  readonly matchStatement: MatchStatementNode | null;
+  readonly matchStatements: MatchStatementNode[];
+  readonly objectDefinition: ObjectDefinitionNode | null;
+  readonly objectDefinitions: ObjectDefinitionNode[];
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly parallelBlocks: ParallelBlockNode[];
+  readonly pipeline: PipelineNode | null;
+  readonly pipelines: PipelineNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+  readonly returnStatement: ReturnStatementNode | null;
+  readonly returnStatements: ReturnStatementNode[];
+  readonly sourceStatement: SourceStatementNode | null;
+  readonly sourceStatements: SourceStatementNode[];
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly spawnExpressions: SpawnExpressionNode[];
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly ternaryExpressions: TernaryExpressionNode[];
+  readonly testDefinition: TestDefinitionNode | null;
+  readonly testDefinitions: TestDefinitionNode[];
+  readonly throwStatement: ThrowStatementNode | null;
+  readonly throwStatements: ThrowStatementNode[];
+  readonly tryStatement: TryStatementNode | null;
+  readonly tryStatements: TryStatementNode[];
+  readonly unaryExpression: UnaryExpressionNode | null;
+  readonly unaryExpressions: UnaryExpressionNode[];
+  readonly variableAssignment: VariableAssignmentNode | null;
+  readonly variableAssignments: VariableAssignmentNode[];
+  readonly whileStatement: WhileStatementNode | null;
+  readonly whileStatements: WhileStatementNode[];
+}
+
+export interface BooleanNode extends AstNode<"boolean"> {}
+
+export interface BraceExpansionNode extends AstNode<"brace_expansion"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly awaitExpressions: AwaitExpressionNode[];
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly binaryExpressions: BinaryExpressionNode[];
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly commandExpressions: CommandExpressionNode[];
+  readonly ifStatement: IfStatementNode | null;
+  readonly ifStatements: IfStatementNode[];
+  readonly matchStatement: MatchStatementNode | null;
+  readonly matchStatements: MatchStatementNode[];
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly parallelBlocks: ParallelBlockNode[];
+  readonly pipeline: PipelineNode | null;
+  readonly pipelines: PipelineNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+  readonly range: RangeNode | null;
+  readonly ranges: RangeNode[];
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly spawnExpressions: SpawnExpressionNode[];
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly ternaryExpressions: TernaryExpressionNode[];
+  readonly tryStatement: TryStatementNode | null;
+  readonly tryStatements: TryStatementNode[];
+  readonly unaryExpression: UnaryExpressionNode | null;
+  readonly unaryExpressions: UnaryExpressionNode[];
+}
+
+export interface CallExpressionNode extends AstNode<"call_expression"> {
+  readonly argumentList: ArgumentListNode | null;
+  readonly argumentLists: ArgumentListNode[];
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+  readonly methodCall: MethodCallNode | null;
+  readonly methodCalls: MethodCallNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+}
+
+export interface CatchClauseNode extends AstNode<"catch_clause"> {
+  readonly block: BlockNode | null;
+  readonly blocks: BlockNode[];
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+  readonly typeHint: TypeHintNode | null;
+  readonly typeHints: TypeHintNode[];
+  readonly variable: VariableNode | null;
+  readonly variables: VariableNode[];
+}
+
+export interface ClosureNode extends AstNode<"closure"> {
+  readonly aliasDefinition: AliasDefinitionNode | null;
+  readonly aliasDefinitions: AliasDefinitionNode[];
+  readonly assignment: AssignmentNode | null;
+  readonly assignments: AssignmentNode[];
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly awaitExpressions: AwaitExpressionNode[];
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly binaryExpressions: BinaryExpressionNode[];
+  readonly breakStatement: BreakStatementNode | null;
+  readonly breakStatements: BreakStatementNode[];
+  readonly closureParameters: ClosureParametersNode | null;
+  readonly closureParameterss: ClosureParametersNode[];
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly commandExpressions: CommandExpressionNode[];
+  readonly compoundAssignment: CompoundAssignmentNode | null;
+  readonly compoundAssignments: CompoundAssignmentNode[];
+  readonly continueStatement: ContinueStatementNode | null;
+  readonly continueStatements: ContinueStatementNode[];
+  readonly decoratedDefinition: DecoratedDefinitionNode | null;
+  readonly decoratedDefinitions: DecoratedDefinitionNode[];
+  readonly enumDefinition: EnumDefinitionNode | null;
+  readonly enumDefinitions: EnumDefinitionNode[];
+  readonly forStatement: ForStatementNode | null;
+  readonly forStatements: ForStatementNode[];
+  readonly functionDefinition: FunctionDefinitionNode | null;
+  readonly functionDefinitions: FunctionDefinitionNode[];
+  readonly ifStatement: IfStatementNode | null;
+  readonly ifStatements: IfStatementNode[];
+  readonly importStatement: ImportStatementNode | null;
+  readonly importStatements: ImportStatementNode[];
+  readonly loopStatement: LoopStatementNode | null;
+  readonly loopStatements: LoopStatementNode[];
+  readonly macroDefinition: MacroDefinitionNode | null;
+  readonly macroDefinitions: MacroDefinitionNode[];
+  readonly matchStatement: MatchStatementNode | null;
+  readonly matchStatements: MatchStatementNode[];
+  readonly objectDefinition: ObjectDefinitionNode | null;
+  readonly objectDefinitions: ObjectDefinitionNode[];
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly parallelBlocks: ParallelBlockNode[];
+  readonly pipeline: PipelineNode | null;
+  readonly pipelines: PipelineNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+  readonly returnStatement: ReturnStatementNode | null;
+  readonly returnStatements: ReturnStatementNode[];
+  readonly sourceStatement: SourceStatementNode | null;
+  readonly sourceStatements: SourceStatementNode[];
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly spawnExpressions: SpawnExpressionNode[];
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly ternaryExpressions: TernaryExpressionNode[];
+  readonly testDefinition: TestDefinitionNode | null;
+  readonly testDefinitions: TestDefinitionNode[];
+  readonly throwStatement: ThrowStatementNode | null;
+  readonly throwStatements: ThrowStatementNode[];
+  readonly tryStatement: TryStatementNode | null;
+  readonly tryStatements: TryStatementNode[];
+  readonly unaryExpression: UnaryExpressionNode | null;
+  readonly unaryExpressions: UnaryExpressionNode[];
+  readonly variableAssignment: VariableAssignmentNode | null;
+  readonly variableAssignments: VariableAssignmentNode[];
+  readonly whileStatement: WhileStatementNode | null;
+  readonly whileStatements: WhileStatementNode[];
+}
+
+export interface ClosureParametersNode extends AstNode<"closure_parameters"> {
+  readonly typedParameter: TypedParameterNode | null;
+  readonly typedParameters: TypedParameterNode[];
+}
+
+export interface CommandExpressionNode extends AstNode<"command_expression"> {
+  readonly argument: ArgumentNode | null;
+  readonly arguments: ArgumentNode[];
+  readonly background: BackgroundNode | null;
+  readonly backgrounds: BackgroundNode[];
+  readonly commandName: CommandNameNode | null;
+  readonly commandNames: CommandNameNode[];
+  readonly envPrefix: EnvPrefixNode | null;
+  readonly envPrefixs: EnvPrefixNode[];
+  readonly heredocBody: HeredocBodyNode | null;
+  readonly heredocBodys: HeredocBodyNode[];
+  readonly heredocEnd: HeredocEndNode | null;
+  readonly heredocEnds: HeredocEndNode[];
+  readonly pipeContinuation: PipeContinuationNode | null;
+  readonly pipeContinuations: PipeContinuationNode[];
+  readonly predicate: PredicateNode | null;
+  readonly predicates: PredicateNode[];
+  readonly redirection: RedirectionNode | null;
+  readonly redirections: RedirectionNode[];
+}
+
+export interface CommandNameNode extends AstNode<"command_name"> {
+  readonly identifier: IdentifierNode | null;
+  readonly methodCall: MethodCallNode | null;
+}
+
+export interface CommandSubstitutionNode extends AstNode<"command_substitution"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly ifStatement: IfStatementNode | null;
+  readonly matchStatement: MatchStatementNode | null;
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly pipeline: PipelineNode | null;
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly tryStatement: TryStatementNode | null;
+  readonly unaryExpression: UnaryExpressionNode | null;
+}
+
+export interface CommentNode extends AstNode<"comment"> {
+  readonly blockComment: BlockCommentNode | null;
+  readonly lineComment: LineCommentNode | null;
+}
+
+export interface CompoundAssignmentNode extends AstNode<"compound_assignment"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly awaitExpressions: AwaitExpressionNode[];
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly binaryExpressions: BinaryExpressionNode[];
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly commandExpressions: CommandExpressionNode[];
+  readonly heredocBody: HeredocBodyNode | null;
+  readonly heredocBodys: HeredocBodyNode[];
+  readonly heredocEnd: HeredocEndNode | null;
+  readonly heredocEnds: HeredocEndNode[];
+  readonly ifStatement: IfStatementNode | null;
+  readonly ifStatements: IfStatementNode[];
+  readonly matchStatement: MatchStatementNode | null;
+  readonly matchStatements: MatchStatementNode[];
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly parallelBlocks: ParallelBlockNode[];
+  readonly pipeline: PipelineNode | null;
+  readonly pipelines: PipelineNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly spawnExpressions: SpawnExpressionNode[];
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly ternaryExpressions: TernaryExpressionNode[];
+  readonly tryStatement: TryStatementNode | null;
+  readonly tryStatements: TryStatementNode[];
+  readonly unaryExpression: UnaryExpressionNode | null;
+  readonly unaryExpressions: UnaryExpressionNode[];
+  readonly variable: VariableNode | null;
+  readonly variables: VariableNode[];
+}
+
+export interface DecoratedDefinitionNode extends AstNode<"decorated_definition"> {
+  readonly aliasDefinition: AliasDefinitionNode | null;
+  readonly aliasDefinitions: AliasDefinitionNode[];
+  readonly decorator: DecoratorNode | null;
+  readonly decorators: DecoratorNode[];
+  readonly enumDefinition: EnumDefinitionNode | null;
+  readonly enumDefinitions: EnumDefinitionNode[];
+  readonly functionDefinition: FunctionDefinitionNode | null;
+  readonly functionDefinitions: FunctionDefinitionNode[];
+  readonly macroDefinition: MacroDefinitionNode | null;
+  readonly macroDefinitions: MacroDefinitionNode[];
+  readonly objectDefinition: ObjectDefinitionNode | null;
+  readonly objectDefinitions: ObjectDefinitionNode[];
+  readonly testDefinition: TestDefinitionNode | null;
+  readonly testDefinitions: TestDefinitionNode[];
+}
+
+export interface DecoratorNode extends AstNode<"decorator"> {
+  readonly argumentList: ArgumentListNode | null;
+  readonly argumentLists: ArgumentListNode[];
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+  readonly number: NumberNode | null;
+  readonly numbers: NumberNode[];
+  readonly string: StringNode | null;
+  readonly strings: StringNode[];
+}
+
+export interface DoubleStringNode extends AstNode<"double_string"> {
+  readonly escapeSequence: EscapeSequenceNode | null;
+  readonly escapeSequences: EscapeSequenceNode[];
+  readonly interpolation: InterpolationNode | null;
+  readonly interpolations: InterpolationNode[];
+  readonly stringContent: StringContentNode | null;
+  readonly stringContents: StringContentNode[];
+}
+
+export interface DurationLiteralNode extends AstNode<"duration_literal"> {
+  readonly float: FloatNode | null;
+  readonly floats: FloatNode[];
+  readonly integer: IntegerNode | null;
+  readonly integers: IntegerNode[];
+  readonly unit: UnitNode | null;
+  readonly units: UnitNode[];
+}
+
+export interface ElifClauseNode extends AstNode<"elif_clause"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly awaitExpressions: AwaitExpressionNode[];
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly binaryExpressions: BinaryExpressionNode[];
+  readonly block: BlockNode | null;
+  readonly blocks: BlockNode[];
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly commandExpressions: CommandExpressionNode[];
+  readonly ifStatement: IfStatementNode | null;
+  readonly ifStatements: IfStatementNode[];
+  readonly matchStatement: MatchStatementNode | null;
+  readonly matchStatements: MatchStatementNode[];
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly parallelBlocks: ParallelBlockNode[];
+  readonly pipeline: PipelineNode | null;
+  readonly pipelines: PipelineNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly spawnExpressions: SpawnExpressionNode[];
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly ternaryExpressions: TernaryExpressionNode[];
+  readonly tryStatement: TryStatementNode | null;
+  readonly tryStatements: TryStatementNode[];
+  readonly unaryExpression: UnaryExpressionNode | null;
+  readonly unaryExpressions: UnaryExpressionNode[];
+}
+
+export interface ElseClauseNode extends AstNode<"else_clause"> {
+  readonly block: BlockNode | null;
+}
+
+export interface EnumDefinitionNode extends AstNode<"enum_definition"> {
+  readonly enumVariant: EnumVariantNode | null;
+  readonly enumVariants: EnumVariantNode[];
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+  readonly visibilityModifier: VisibilityModifierNode | null;
+  readonly visibilityModifiers: VisibilityModifierNode[];
+}
+
+export interface EnumRecordPayloadNode extends AstNode<"enum_record_payload"> {
+  readonly objectField: ObjectFieldNode | null;
+  readonly objectFields: ObjectFieldNode[];
+}
+
+export interface EnumTuplePayloadNode extends AstNode<"enum_tuple_payload"> {
+  readonly typeHint: TypeHintNode | null;
+  readonly typeHints: TypeHintNode[];
+}
+
+export interface EnumVariantNode extends AstNode<"enum_variant"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly awaitExpressions: AwaitExpressionNode[];
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly binaryExpressions: BinaryExpressionNode[];
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly commandExpressions: CommandExpressionNode[];
+  readonly decorator: DecoratorNode | null;
+  readonly decorators: DecoratorNode[];
+  readonly enumRecordPayload: EnumRecordPayloadNode | null;
+  readonly enumRecordPayloads: EnumRecordPayloadNode[];
+  readonly enumTuplePayload: EnumTuplePayloadNode | null;
+  readonly enumTuplePayloads: EnumTuplePayloadNode[];
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+  readonly ifStatement: IfStatementNode | null;
+  readonly ifStatements: IfStatementNode[];
+  readonly matchStatement: MatchStatementNode | null;
+  readonly matchStatements: MatchStatementNode[];
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly parallelBlocks: ParallelBlockNode[];
+  readonly pipeline: PipelineNode | null;
+  readonly pipelines: PipelineNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly spawnExpressions: SpawnExpressionNode[];
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly ternaryExpressions: TernaryExpressionNode[];
+  readonly tryStatement: TryStatementNode | null;
+  readonly tryStatements: TryStatementNode[];
+  readonly unaryExpression: UnaryExpressionNode | null;
+  readonly unaryExpressions: UnaryExpressionNode[];
+}
+
+export interface EnvPrefixNode extends AstNode<"env_prefix"> {
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+  readonly pathArgument: PathArgumentNode | null;
+  readonly pathArguments: PathArgumentNode[];
+  readonly string: StringNode | null;
+  readonly strings: StringNode[];
+  readonly variable: VariableNode | null;
+  readonly variables: VariableNode[];
+}
+
+export interface FieldAccessNode extends AstNode<"field_access"> {
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+  readonly integer: IntegerNode | null;
+  readonly integers: IntegerNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+}
+
+export interface FilesizeLiteralNode extends AstNode<"filesize_literal"> {
+  readonly float: FloatNode | null;
+  readonly floats: FloatNode[];
+  readonly integer: IntegerNode | null;
+  readonly integers: IntegerNode[];
+  readonly unit: UnitNode | null;
+  readonly units: UnitNode[];
+}
+
+export interface FinallyClauseNode extends AstNode<"finally_clause"> {
+  readonly block: BlockNode | null;
+}
+
+export interface FlagNode extends AstNode<"flag"> {
+  readonly longFlag: LongFlagNode | null;
+  readonly shortFlag: ShortFlagNode | null;
+}
+
+export interface FlagWithValueNode extends AstNode<"flag_with_value"> {
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+  readonly longFlag: LongFlagNode | null;
+  readonly longFlags: LongFlagNode[];
+  readonly number: NumberNode | null;
+  readonly numbers: NumberNode[];
+  readonly string: StringNode | null;
+  readonly strings: StringNode[];
+}
+
+export interface FloatNode extends AstNode<"float"> {}
+
+export interface ForStatementNode extends AstNode<"for_statement"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly awaitExpressions: AwaitExpressionNode[];
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly binaryExpressions: BinaryExpressionNode[];
+  readonly block: BlockNode | null;
+  readonly blocks: BlockNode[];
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly commandExpressions: CommandExpressionNode[];
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+  readonly ifStatement: IfStatementNode | null;
+  readonly ifStatements: IfStatementNode[];
+  readonly listPattern: ListPatternNode | null;
+  readonly listPatterns: ListPatternNode[];
+  readonly matchStatement: MatchStatementNode | null;
+  readonly matchStatements: MatchStatementNode[];
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly parallelBlocks: ParallelBlockNode[];
+  readonly pipeline: PipelineNode | null;
+  readonly pipelines: PipelineNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+  readonly recordPattern: RecordPatternNode | null;
+  readonly recordPatterns: RecordPatternNode[];
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly spawnExpressions: SpawnExpressionNode[];
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly ternaryExpressions: TernaryExpressionNode[];
+  readonly tryStatement: TryStatementNode | null;
+  readonly tryStatements: TryStatementNode[];
+  readonly tuplePattern: TuplePatternNode | null;
+  readonly tuplePatterns: TuplePatternNode[];
+  readonly unaryExpression: UnaryExpressionNode | null;
+  readonly unaryExpressions: UnaryExpressionNode[];
+  readonly variable: VariableNode | null;
+  readonly variables: VariableNode[];
+}
+
+export interface FunctionDefinitionNode extends AstNode<"function_definition"> {
+  readonly block: BlockNode | null;
+  readonly blocks: BlockNode[];
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+  readonly parameterList: ParameterListNode | null;
+  readonly parameterLists: ParameterListNode[];
+  readonly typeHint: TypeHintNode | null;
+  readonly typeHints: TypeHintNode[];
+  readonly visibilityModifier: VisibilityModifierNode | null;
+  readonly visibilityModifiers: VisibilityModifierNode[];
+}
+
+export interface FunctionTypeNode extends AstNode<"function_type"> {
+  readonly typeHint: TypeHintNode | null;
+  readonly typeHints: TypeHintNode[];
+}
+
+export interface GenericTypeNode extends AstNode<"generic_type"> {
+  readonly typeHint: TypeHintNode | null;
+  readonly typeHints: TypeHintNode[];
+  readonly typeIdentifier: TypeIdentifierNode | null;
+  readonly typeIdentifiers: TypeIdentifierNode[];
+  readonly typeName: TypeNameNode | null;
+  readonly typeNames: TypeNameNode[];
+}
+
+export interface HeredocNode extends AstNode<"heredoc"> {
+  readonly heredocStart: HeredocStartNode | null;
+}
+
+export interface HeredocBodyNode extends AstNode<"heredoc_body"> {
+  readonly interpolation: InterpolationNode | null;
+  readonly interpolations: InterpolationNode[];
+  readonly stringContent: StringContentNode | null;
+  readonly stringContents: StringContentNode[];
+}
+
+export interface IfStatementNode extends AstNode<"if_statement"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly awaitExpressions: AwaitExpressionNode[];
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly binaryExpressions: BinaryExpressionNode[];
+  readonly block: BlockNode | null;
+  readonly blocks: BlockNode[];
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly commandExpressions: CommandExpressionNode[];
+  readonly elifClause: ElifClauseNode | null;
+  readonly elifClauses: ElifClauseNode[];
+  readonly elseClause: ElseClauseNode | null;
+  readonly elseClauses: ElseClauseNode[];
+  readonly ifStatement: IfStatementNode | null;
+  readonly ifStatements: IfStatementNode[];
+  readonly matchStatement: MatchStatementNode | null;
+  readonly matchStatements: MatchStatementNode[];
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly parallelBlocks: ParallelBlockNode[];
+  readonly pipeline: PipelineNode | null;
+  readonly pipelines: PipelineNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly spawnExpressions: SpawnExpressionNode[];
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly ternaryExpressions: TernaryExpressionNode[];
+  readonly tryStatement: TryStatementNode | null;
+  readonly tryStatements: TryStatementNode[];
+  readonly unaryExpression: UnaryExpressionNode | null;
+  readonly unaryExpressions: UnaryExpressionNode[];
+}
+
+export interface ImplicitFieldNode extends AstNode<"implicit_field"> {
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+}
+
+export interface ImportGroupNode extends AstNode<"import_group"> {
+  readonly importItem: ImportItemNode | null;
+  readonly importItems: ImportItemNode[];
+}
+
+export interface ImportItemNode extends AstNode<"import_item"> {
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+}
+
+export interface ImportListNode extends AstNode<"import_list"> {
+  readonly importItem: ImportItemNode | null;
+  readonly importItems: ImportItemNode[];
+}
+
+export interface ImportStatementNode extends AstNode<"import_statement"> {
+  readonly importGroup: ImportGroupNode | null;
+  readonly importGroups: ImportGroupNode[];
+  readonly importList: ImportListNode | null;
+  readonly importLists: ImportListNode[];
+  readonly modulePath: ModulePathNode | null;
+  readonly modulePaths: ModulePathNode[];
+  readonly relativePath: RelativePathNode | null;
+  readonly relativePaths: RelativePathNode[];
+  readonly string: StringNode | null;
+  readonly strings: StringNode[];
+}
+
+export interface IndexExpressionNode extends AstNode<"index_expression"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly awaitExpressions: AwaitExpressionNode[];
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly binaryExpressions: BinaryExpressionNode[];
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly commandExpressions: CommandExpressionNode[];
+  readonly ifStatement: IfStatementNode | null;
+  readonly ifStatements: IfStatementNode[];
+  readonly matchStatement: MatchStatementNode | null;
+  readonly matchStatements: MatchStatementNode[];
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly parallelBlocks: ParallelBlockNode[];
+  readonly pipeline: PipelineNode | null;
+  readonly pipelines: PipelineNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly spawnExpressions: SpawnExpressionNode[];
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly ternaryExpressions: TernaryExpressionNode[];
+  readonly tryStatement: TryStatementNode | null;
+  readonly tryStatements: TryStatementNode[];
+  readonly unaryExpression: UnaryExpressionNode | null;
+  readonly unaryExpressions: UnaryExpressionNode[];
+}
+
+export interface InputProcessSubstitutionNode extends AstNode<"input_process_substitution"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly ifStatement: IfStatementNode | null;
+  readonly matchStatement: MatchStatementNode | null;
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly pipeline: PipelineNode | null;
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly tryStatement: TryStatementNode | null;
+  readonly unaryExpression: UnaryExpressionNode | null;
+}
+
+export interface InterpolationNode extends AstNode<"interpolation"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly ifStatement: IfStatementNode | null;
+  readonly matchStatement: MatchStatementNode | null;
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly pipeline: PipelineNode | null;
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly tryStatement: TryStatementNode | null;
+  readonly unaryExpression: UnaryExpressionNode | null;
+  readonly variable: VariableNode | null;
+}
+
+export interface LambdaNode extends AstNode<"lambda"> {
+  readonly block: BlockNode | null;
+  readonly blocks: BlockNode[];
+  readonly lambdaParameter: LambdaParameterNode | null;
+  readonly lambdaParameters: LambdaParameterNode[];
+  readonly typeHint: TypeHintNode | null;
+  readonly typeHints: TypeHintNode[];
+}
+
+export interface LambdaParameterNode extends AstNode<"lambda_parameter"> {
+  readonly listPattern: ListPatternNode | null;
+  readonly listPatterns: ListPatternNode[];
+  readonly recordPattern: RecordPatternNode | null;
+  readonly recordPatterns: RecordPatternNode[];
+  readonly tuplePattern: TuplePatternNode | null;
+  readonly tuplePatterns: TuplePatternNode[];
+  readonly typeHint: TypeHintNode | null;
+  readonly typeHints: TypeHintNode[];
+  readonly variable: VariableNode | null;
+  readonly variables: VariableNode[];
+}
+
+export interface ListNode extends AstNode<"list"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly awaitExpressions: AwaitExpressionNode[];
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly binaryExpressions: BinaryExpressionNode[];
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly commandExpressions: CommandExpressionNode[];
+  readonly ifStatement: IfStatementNode | null;
+  readonly ifStatements: IfStatementNode[];
+  readonly matchStatement: MatchStatementNode | null;
+  readonly matchStatements: MatchStatementNode[];
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly parallelBlocks: ParallelBlockNode[];
+  readonly pipeline: PipelineNode | null;
+  readonly pipelines: PipelineNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly spawnExpressions: SpawnExpressionNode[];
+  readonly spreadElement: SpreadElementNode | null;
+  readonly spreadElements: SpreadElementNode[];
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly ternaryExpressions: TernaryExpressionNode[];
+  readonly tryStatement: TryStatementNode | null;
+  readonly tryStatements: TryStatementNode[];
+  readonly unaryExpression: UnaryExpressionNode | null;
+  readonly unaryExpressions: UnaryExpressionNode[];
+}
+
+export interface ListPatternNode extends AstNode<"list_pattern"> {
+  readonly listPatternElement: ListPatternElementNode | null;
+  readonly listPatternElements: ListPatternElementNode[];
+}
+
+export interface ListPatternElementNode extends AstNode<"list_pattern_element"> {
+  readonly alternativePattern: AlternativePatternNode | null;
+  readonly bindingPattern: BindingPatternNode | null;
+  readonly boolean: BooleanNode | null;
+  readonly identifier: IdentifierNode | null;
+  readonly listPattern: ListPatternNode | null;
+  readonly negativeNumber: NegativeNumberNode | null;
+  readonly null: NullNode | null;
+  readonly number: NumberNode | null;
+  readonly rangePattern: RangePatternNode | null;
+  readonly recordPattern: RecordPatternNode | null;
+  readonly regexPattern: RegexPatternNode | null;
+  readonly string: StringNode | null;
+  readonly tuplePattern: TuplePatternNode | null;
+  readonly typedRecordPattern: TypedRecordPatternNode | null;
+  readonly variable: VariableNode | null;
+  readonly variantPattern: VariantPatternNode | null;
+}
+
+export interface LongFlagNode extends AstNode<"long_flag"> {
+  readonly identifier: IdentifierNode | null;
+  readonly number: NumberNode | null;
+  readonly string: StringNode | null;
+}
+
+export interface LoopStatementNode extends AstNode<"loop_statement"> {
+  readonly block: BlockNode | null;
+}
+
+export interface MacroDefinitionNode extends AstNode<"macro_definition"> {
+  readonly block: BlockNode | null;
+  readonly blocks: BlockNode[];
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+  readonly parameterList: ParameterListNode | null;
+  readonly parameterLists: ParameterListNode[];
+  readonly variable: VariableNode | null;
+  readonly variables: VariableNode[];
+  readonly visibilityModifier: VisibilityModifierNode | null;
+  readonly visibilityModifiers: VisibilityModifierNode[];
+}
+
+export interface MatchArmNode extends AstNode<"match_arm"> {
+  readonly alternativePattern: AlternativePatternNode | null;
+  readonly alternativePatterns: AlternativePatternNode[];
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly awaitExpressions: AwaitExpressionNode[];
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly binaryExpressions: BinaryExpressionNode[];
+  readonly bindingPattern: BindingPatternNode | null;
+  readonly bindingPatterns: BindingPatternNode[];
+  readonly block: BlockNode | null;
+  readonly blocks: BlockNode[];
+  readonly boolean: BooleanNode | null;
+  readonly booleans: BooleanNode[];
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly commandExpressions: CommandExpressionNode[];
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+  readonly ifStatement: IfStatementNode | null;
+  readonly ifStatements: IfStatementNode[];
+  readonly listPattern: ListPatternNode | null;
+  readonly listPatterns: ListPatternNode[];
+  readonly matchStatement: MatchStatementNode | null;
+  readonly matchStatements: MatchStatementNode[];
+  readonly negativeNumber: NegativeNumberNode | null;
+  readonly negativeNumbers: NegativeNumberNode[];
+  readonly null: NullNode | null;
+  readonly nulls: NullNode[];
+  readonly number: NumberNode | null;
+  readonly numbers: NumberNode[];
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly parallelBlocks: ParallelBlockNode[];
+  readonly pipeline: PipelineNode | null;
+  readonly pipelines: PipelineNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+  readonly rangePattern: RangePatternNode | null;
+  readonly rangePatterns: RangePatternNode[];
+  readonly recordPattern: RecordPatternNode | null;
+  readonly recordPatterns: RecordPatternNode[];
+  readonly regexPattern: RegexPatternNode | null;
+  readonly regexPatterns: RegexPatternNode[];
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly spawnExpressions: SpawnExpressionNode[];
+  readonly string: StringNode | null;
+  readonly strings: StringNode[];
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly ternaryExpressions: TernaryExpressionNode[];
+  readonly tryStatement: TryStatementNode | null;
+  readonly tryStatements: TryStatementNode[];
+  readonly tuplePattern: TuplePatternNode | null;
+  readonly tuplePatterns: TuplePatternNode[];
+  readonly typedRecordPattern: TypedRecordPatternNode | null;
+  readonly typedRecordPatterns: TypedRecordPatternNode[];
+  readonly unaryExpression: UnaryExpressionNode | null;
+  readonly unaryExpressions: UnaryExpressionNode[];
+  readonly variable: VariableNode | null;
+  readonly variables: VariableNode[];
+  readonly variantPattern: VariantPatternNode | null;
+  readonly variantPatterns: VariantPatternNode[];
+}
+
+export interface MatchStatementNode extends AstNode<"match_statement"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly awaitExpressions: AwaitExpressionNode[];
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly binaryExpressions: BinaryExpressionNode[];
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly commandExpressions: CommandExpressionNode[];
+  readonly ifStatement: IfStatementNode | null;
+  readonly ifStatements: IfStatementNode[];
+  readonly matchArm: MatchArmNode | null;
+  readonly matchArms: MatchArmNode[];
+  readonly matchStatement: MatchStatementNode | null;
+  readonly matchStatements: MatchStatementNode[];
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly parallelBlocks: ParallelBlockNode[];
+  readonly pipeline: PipelineNode | null;
+  readonly pipelines: PipelineNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly spawnExpressions: SpawnExpressionNode[];
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly ternaryExpressions: TernaryExpressionNode[];
+  readonly tryStatement: TryStatementNode | null;
+  readonly tryStatements: TryStatementNode[];
+  readonly unaryExpression: UnaryExpressionNode | null;
+  readonly unaryExpressions: UnaryExpressionNode[];
+}
+
+export interface MethodCallNode extends AstNode<"method_call"> {
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+}
+
+export interface ModulePathNode extends AstNode<"module_path"> {
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+}
+
+export interface NamedArgumentNode extends AstNode<"named_argument"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly awaitExpressions: AwaitExpressionNode[];
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly binaryExpressions: BinaryExpressionNode[];
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly commandExpressions: CommandExpressionNode[];
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+  readonly ifStatement: IfStatementNode | null;
+  readonly ifStatements: IfStatementNode[];
+  readonly matchStatement: MatchStatementNode | null;
+  readonly matchStatements: MatchStatementNode[];
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly parallelBlocks: ParallelBlockNode[];
+  readonly pipeline: PipelineNode | null;
+  readonly pipelines: PipelineNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly spawnExpressions: SpawnExpressionNode[];
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly ternaryExpressions: TernaryExpressionNode[];
+  readonly tryStatement: TryStatementNode | null;
+  readonly tryStatements: TryStatementNode[];
+  readonly unaryExpression: UnaryExpressionNode | null;
+  readonly unaryExpressions: UnaryExpressionNode[];
+}
+
+export interface NegativeNumberNode extends AstNode<"negative_number"> {
+  readonly number: NumberNode | null;
+}
+
+export interface NullNode extends AstNode<"null"> {}
+
+export interface NumberNode extends AstNode<"number"> {
+  readonly binaryNumber: BinaryNumberNode | null;
+  readonly float: FloatNode | null;
+  readonly hexNumber: HexNumberNode | null;
+  readonly integer: IntegerNode | null;
+  readonly octalNumber: OctalNumberNode | null;
+}
+
+export interface ObjectConstructionNode extends AstNode<"object_construction"> {
+  readonly record: RecordNode | null;
+  readonly records: RecordNode[];
+  readonly typeIdentifier: TypeIdentifierNode | null;
+  readonly typeIdentifiers: TypeIdentifierNode[];
+  readonly variantPath: VariantPathNode | null;
+  readonly variantPaths: VariantPathNode[];
+}
+
+export interface ObjectDefinitionNode extends AstNode<"object_definition"> {
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+  readonly objectField: ObjectFieldNode | null;
+  readonly objectFields: ObjectFieldNode[];
+  readonly objectMethod: ObjectMethodNode | null;
+  readonly objectMethods: ObjectMethodNode[];
+  readonly visibilityModifier: VisibilityModifierNode | null;
+  readonly visibilityModifiers: VisibilityModifierNode[];
+}
+
+export interface ObjectFieldNode extends AstNode<"object_field"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly awaitExpressions: AwaitExpressionNode[];
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly binaryExpressions: BinaryExpressionNode[];
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly commandExpressions: CommandExpressionNode[];
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+  readonly ifStatement: IfStatementNode | null;
+  readonly ifStatements: IfStatementNode[];
+  readonly matchStatement: MatchStatementNode | null;
+  readonly matchStatements: MatchStatementNode[];
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly parallelBlocks: ParallelBlockNode[];
+  readonly pipeline: PipelineNode | null;
+  readonly pipelines: PipelineNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly spawnExpressions: SpawnExpressionNode[];
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly ternaryExpressions: TernaryExpressionNode[];
+  readonly tryStatement: TryStatementNode | null;
+  readonly tryStatements: TryStatementNode[];
+  readonly typeHint: TypeHintNode | null;
+  readonly typeHints: TypeHintNode[];
+  readonly unaryExpression: UnaryExpressionNode | null;
+  readonly unaryExpressions: UnaryExpressionNode[];
+}
+
+export interface ObjectMethodNode extends AstNode<"object_method"> {
+  readonly block: BlockNode | null;
+  readonly blocks: BlockNode[];
+  readonly decorator: DecoratorNode | null;
+  readonly decorators: DecoratorNode[];
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+  readonly parameterList: ParameterListNode | null;
+  readonly parameterLists: ParameterListNode[];
+  readonly typeHint: TypeHintNode | null;
+  readonly typeHints: TypeHintNode[];
+}
+
+export interface OptionalFieldAccessNode extends AstNode<"optional_field_access"> {
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+  readonly integer: IntegerNode | null;
+  readonly integers: IntegerNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+}
+
+export interface OutputProcessSubstitutionNode extends AstNode<"output_process_substitution"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly ifStatement: IfStatementNode | null;
+  readonly matchStatement: MatchStatementNode | null;
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly pipeline: PipelineNode | null;
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly tryStatement: TryStatementNode | null;
+  readonly unaryExpression: UnaryExpressionNode | null;
+}
+
+export interface ParallelBlockNode extends AstNode<"parallel_block"> {
+  readonly parallelBranch: ParallelBranchNode | null;
+  readonly parallelBranchs: ParallelBranchNode[];
+}
+
+export interface ParallelBranchNode extends AstNode<"parallel_branch"> {
+  readonly block: BlockNode | null;
+  readonly blocks: BlockNode[];
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+}
+
+export interface ParameterNode extends AstNode<"parameter"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly awaitExpressions: AwaitExpressionNode[];
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly binaryExpressions: BinaryExpressionNode[];
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly commandExpressions: CommandExpressionNode[];
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+  readonly ifStatement: IfStatementNode | null;
+  readonly ifStatements: IfStatementNode[];
+  readonly listPattern: ListPatternNode | null;
+  readonly listPatterns: ListPatternNode[];
+  readonly matchStatement: MatchStatementNode | null;
+  readonly matchStatements: MatchStatementNode[];
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly parallelBlocks: ParallelBlockNode[];
+  readonly pipeline: PipelineNode | null;
+  readonly pipelines: PipelineNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+  readonly recordPattern: RecordPatternNode | null;
+  readonly recordPatterns: RecordPatternNode[];
+  readonly self: SelfNode | null;
+  readonly selfs: SelfNode[];
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly spawnExpressions: SpawnExpressionNode[];
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly ternaryExpressions: TernaryExpressionNode[];
+  readonly tryStatement: TryStatementNode | null;
+  readonly tryStatements: TryStatementNode[];
+  readonly tuplePattern: TuplePatternNode | null;
+  readonly tuplePatterns: TuplePatternNode[];
+  readonly typeHint: TypeHintNode | null;
+  readonly typeHints: TypeHintNode[];
+  readonly unaryExpression: UnaryExpressionNode | null;
+  readonly unaryExpressions: UnaryExpressionNode[];
+  readonly variable: VariableNode | null;
+  readonly variables: VariableNode[];
+}
+
+export interface ParameterListNode extends AstNode<"parameter_list"> {
+  readonly parameter: ParameterNode | null;
+  readonly parameters: ParameterNode[];
+}
+
+export interface ParenthesizedExpressionNode extends AstNode<"parenthesized_expression"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly ifStatement: IfStatementNode | null;
+  readonly matchStatement: MatchStatementNode | null;
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly pipeline: PipelineNode | null;
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly tryStatement: TryStatementNode | null;
+  readonly unaryExpression: UnaryExpressionNode | null;
+}
+
+export interface PatternFieldNode extends AstNode<"pattern_field"> {
+  readonly alternativePattern: AlternativePatternNode | null;
+  readonly alternativePatterns: AlternativePatternNode[];
+  readonly bindingPattern: BindingPatternNode | null;
+  readonly bindingPatterns: BindingPatternNode[];
+  readonly boolean: BooleanNode | null;
+  readonly booleans: BooleanNode[];
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+  readonly listPattern: ListPatternNode | null;
+  readonly listPatterns: ListPatternNode[];
+  readonly negativeNumber: NegativeNumberNode | null;
+  readonly negativeNumbers: NegativeNumberNode[];
+  readonly null: NullNode | null;
+  readonly nulls: NullNode[];
+  readonly number: NumberNode | null;
+  readonly numbers: NumberNode[];
+  readonly rangePattern: RangePatternNode | null;
+  readonly rangePatterns: RangePatternNode[];
+  readonly recordPattern: RecordPatternNode | null;
+  readonly recordPatterns: RecordPatternNode[];
+  readonly regexPattern: RegexPatternNode | null;
+  readonly regexPatterns: RegexPatternNode[];
+  readonly string: StringNode | null;
+  readonly strings: StringNode[];
+  readonly tuplePattern: TuplePatternNode | null;
+  readonly tuplePatterns: TuplePatternNode[];
+  readonly typedRecordPattern: TypedRecordPatternNode | null;
+  readonly typedRecordPatterns: TypedRecordPatternNode[];
+  readonly variable: VariableNode | null;
+  readonly variables: VariableNode[];
+  readonly variantPattern: VariantPatternNode | null;
+  readonly variantPatterns: VariantPatternNode[];
+}
+
+export interface PipeContinuationNode extends AstNode<"pipe_continuation"> {
+  readonly argument: ArgumentNode | null;
+  readonly arguments: ArgumentNode[];
+  readonly commandName: CommandNameNode | null;
+  readonly commandNames: CommandNameNode[];
+  readonly envPrefix: EnvPrefixNode | null;
+  readonly envPrefixs: EnvPrefixNode[];
+  readonly predicate: PredicateNode | null;
+  readonly predicates: PredicateNode[];
+  readonly redirection: RedirectionNode | null;
+  readonly redirections: RedirectionNode[];
+}
+
+export interface PipelineNode extends AstNode<"pipeline"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly awaitExpressions: AwaitExpressionNode[];
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly binaryExpressions: BinaryExpressionNode[];
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly commandExpressions: CommandExpressionNode[];
+  readonly heredocBody: HeredocBodyNode | null;
+  readonly heredocBodys: HeredocBodyNode[];
+  readonly heredocEnd: HeredocEndNode | null;
+  readonly heredocEnds: HeredocEndNode[];
+  readonly ifStatement: IfStatementNode | null;
+  readonly ifStatements: IfStatementNode[];
+  readonly matchStatement: MatchStatementNode | null;
+  readonly matchStatements: MatchStatementNode[];
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly parallelBlocks: ParallelBlockNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly spawnExpressions: SpawnExpressionNode[];
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly ternaryExpressions: TernaryExpressionNode[];
+  readonly tryStatement: TryStatementNode | null;
+  readonly tryStatements: TryStatementNode[];
+  readonly unaryExpression: UnaryExpressionNode | null;
+  readonly unaryExpressions: UnaryExpressionNode[];
+}
+
+export interface PredicateNode extends AstNode<"predicate"> {
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly implicitField: ImplicitFieldNode | null;
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly unaryExpression: UnaryExpressionNode | null;
+}
+
+export interface PrimaryExpressionNode extends AstNode<"primary_expression"> {
+  readonly boolean: BooleanNode | null;
+  readonly braceExpansion: BraceExpansionNode | null;
+  readonly callExpression: CallExpressionNode | null;
+  readonly closure: ClosureNode | null;
+  readonly commandSubstitution: CommandSubstitutionNode | null;
+  readonly dateLiteral: DateLiteralNode | null;
+  readonly durationLiteral: DurationLiteralNode | null;
+  readonly fieldAccess: FieldAccessNode | null;
+  readonly filesizeLiteral: FilesizeLiteralNode | null;
+  readonly indexExpression: IndexExpressionNode | null;
+  readonly inputProcessSubstitution: InputProcessSubstitutionNode | null;
+  readonly lambda: LambdaNode | null;
+  readonly list: ListNode | null;
+  readonly null: NullNode | null;
+  readonly number: NumberNode | null;
+  readonly objectConstruction: ObjectConstructionNode | null;
+  readonly optionalFieldAccess: OptionalFieldAccessNode | null;
+  readonly outputProcessSubstitution: OutputProcessSubstitutionNode | null;
+  readonly parenthesizedExpression: ParenthesizedExpressionNode | null;
+  readonly range: RangeNode | null;
+  readonly record: RecordNode | null;
+  readonly self: SelfNode | null;
+  readonly set: SetNode | null;
+  readonly sliceExpression: SliceExpressionNode | null;
+  readonly string: StringNode | null;
+  readonly tryOperator: TryOperatorNode | null;
+  readonly tuple: TupleNode | null;
+  readonly variable: VariableNode | null;
+  readonly variantPath: VariantPathNode | null;
+}
+
+export interface RangeNode extends AstNode<"range"> {
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly binaryExpressions: BinaryExpressionNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+  readonly unaryExpression: UnaryExpressionNode | null;
+  readonly unaryExpressions: UnaryExpressionNode[];
+}
+
+export interface RangePatternNode extends AstNode<"range_pattern"> {
+  readonly negativeNumber: NegativeNumberNode | null;
+  readonly negativeNumbers: NegativeNumberNode[];
+  readonly number: NumberNode | null;
+  readonly numbers: NumberNode[];
+  readonly string: StringNode | null;
+  readonly strings: StringNode[];
+}
+
+export interface RecordNode extends AstNode<"record"> {
+  readonly recordField: RecordFieldNode | null;
+  readonly recordFields: RecordFieldNode[];
+  readonly spreadElement: SpreadElementNode | null;
+  readonly spreadElements: SpreadElementNode[];
+}
+
+export interface RecordFieldNode extends AstNode<"record_field"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly awaitExpressions: AwaitExpressionNode[];
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly binaryExpressions: BinaryExpressionNode[];
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly commandExpressions: CommandExpressionNode[];
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+  readonly ifStatement: IfStatementNode | null;
+  readonly ifStatements: IfStatementNode[];
+  readonly matchStatement: MatchStatementNode | null;
+  readonly matchStatements: MatchStatementNode[];
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly parallelBlocks: ParallelBlockNode[];
+  readonly pipeline: PipelineNode | null;
+  readonly pipelines: PipelineNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly spawnExpressions: SpawnExpressionNode[];
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly ternaryExpressions: TernaryExpressionNode[];
+  readonly tryStatement: TryStatementNode | null;
+  readonly tryStatements: TryStatementNode[];
+  readonly unaryExpression: UnaryExpressionNode | null;
+  readonly unaryExpressions: UnaryExpressionNode[];
+}
+
+export interface RecordPatternNode extends AstNode<"record_pattern"> {
+  readonly patternField: PatternFieldNode | null;
+  readonly patternFields: PatternFieldNode[];
+}
+
+export interface RedirectionNode extends AstNode<"redirection"> {
+  readonly fileDescriptor: FileDescriptorNode | null;
+  readonly pathArgument: PathArgumentNode | null;
+  readonly string: StringNode | null;
+  readonly variable: VariableNode | null;
+}
+
+export interface RegexPatternNode extends AstNode<"regex_pattern"> {
+  readonly regex: RegexNode | null;
+  readonly regexs: RegexNode[];
+  readonly regexFlags: RegexFlagsNode | null;
+  readonly regexFlagss: RegexFlagsNode[];
+}
+
+export interface ReturnStatementNode extends AstNode<"return_statement"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly awaitExpressions: AwaitExpressionNode[];
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly binaryExpressions: BinaryExpressionNode[];
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly commandExpressions: CommandExpressionNode[];
+  readonly heredocBody: HeredocBodyNode | null;
+  readonly heredocBodys: HeredocBodyNode[];
+  readonly heredocEnd: HeredocEndNode | null;
+  readonly heredocEnds: HeredocEndNode[];
+  readonly ifStatement: IfStatementNode | null;
+  readonly ifStatements: IfStatementNode[];
+  readonly matchStatement: MatchStatementNode | null;
+  readonly matchStatements: MatchStatementNode[];
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly parallelBlocks: ParallelBlockNode[];
+  readonly pipeline: PipelineNode | null;
+  readonly pipelines: PipelineNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly spawnExpressions: SpawnExpressionNode[];
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly ternaryExpressions: TernaryExpressionNode[];
+  readonly tryStatement: TryStatementNode | null;
+  readonly tryStatements: TryStatementNode[];
+  readonly unaryExpression: UnaryExpressionNode | null;
+  readonly unaryExpressions: UnaryExpressionNode[];
+}
+
+export interface SetNode extends AstNode<"set"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly awaitExpressions: AwaitExpressionNode[];
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly binaryExpressions: BinaryExpressionNode[];
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly commandExpressions: CommandExpressionNode[];
+  readonly ifStatement: IfStatementNode | null;
+  readonly ifStatements: IfStatementNode[];
+  readonly matchStatement: MatchStatementNode | null;
+  readonly matchStatements: MatchStatementNode[];
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly parallelBlocks: ParallelBlockNode[];
+  readonly pipeline: PipelineNode | null;
+  readonly pipelines: PipelineNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly spawnExpressions: SpawnExpressionNode[];
+  readonly spreadElement: SpreadElementNode | null;
+  readonly spreadElements: SpreadElementNode[];
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly ternaryExpressions: TernaryExpressionNode[];
+  readonly tryStatement: TryStatementNode | null;
+  readonly tryStatements: TryStatementNode[];
+  readonly unaryExpression: UnaryExpressionNode | null;
+  readonly unaryExpressions: UnaryExpressionNode[];
+}
+
+export interface SliceExpressionNode extends AstNode<"slice_expression"> {
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+  readonly range: RangeNode | null;
+  readonly ranges: RangeNode[];
+}
+
+export interface SourceFileNode extends AstNode<"source_file"> {
+  readonly aliasDefinition: AliasDefinitionNode | null;
+  readonly aliasDefinitions: AliasDefinitionNode[];
+  readonly assignment: AssignmentNode | null;
+  readonly assignments: AssignmentNode[];
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly awaitExpressions: AwaitExpressionNode[];
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly binaryExpressions: BinaryExpressionNode[];
+  readonly breakStatement: BreakStatementNode | null;
+  readonly breakStatements: BreakStatementNode[];
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly commandExpressions: CommandExpressionNode[];
+  readonly compoundAssignment: CompoundAssignmentNode | null;
+  readonly compoundAssignments: CompoundAssignmentNode[];
+  readonly continueStatement: ContinueStatementNode | null;
+  readonly continueStatements: ContinueStatementNode[];
+  readonly decoratedDefinition: DecoratedDefinitionNode | null;
+  readonly decoratedDefinitions: DecoratedDefinitionNode[];
+  readonly enumDefinition: EnumDefinitionNode | null;
+  readonly enumDefinitions: EnumDefinitionNode[];
+  readonly forStatement: ForStatementNode | null;
+  readonly forStatements: ForStatementNode[];
+  readonly functionDefinition: FunctionDefinitionNode | null;
+  readonly functionDefinitions: FunctionDefinitionNode[];
+  readonly ifStatement: IfStatementNode | null;
+  readonly ifStatements: IfStatementNode[];
+  readonly importStatement: ImportStatementNode | null;
+  readonly importStatements: ImportStatementNode[];
+  readonly loopStatement: LoopStatementNode | null;
+  readonly loopStatements: LoopStatementNode[];
+  readonly macroDefinition: MacroDefinitionNode | null;
+  readonly macroDefinitions: MacroDefinitionNode[];
+  readonly matchStatement: MatchStatementNode | null;
+  readonly matchStatements: MatchStatementNode[];
+  readonly objectDefinition: ObjectDefinitionNode | null;
+  readonly objectDefinitions: ObjectDefinitionNode[];
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly parallelBlocks: ParallelBlockNode[];
+  readonly pipeline: PipelineNode | null;
+  readonly pipelines: PipelineNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+  readonly returnStatement: ReturnStatementNode | null;
+  readonly returnStatements: ReturnStatementNode[];
+  readonly sourceStatement: SourceStatementNode | null;
+  readonly sourceStatements: SourceStatementNode[];
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly spawnExpressions: SpawnExpressionNode[];
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly ternaryExpressions: TernaryExpressionNode[];
+  readonly testDefinition: TestDefinitionNode | null;
+  readonly testDefinitions: TestDefinitionNode[];
+  readonly throwStatement: ThrowStatementNode | null;
+  readonly throwStatements: ThrowStatementNode[];
+  readonly tryStatement: TryStatementNode | null;
+  readonly tryStatements: TryStatementNode[];
+  readonly unaryExpression: UnaryExpressionNode | null;
+  readonly unaryExpressions: UnaryExpressionNode[];
+  readonly variableAssignment: VariableAssignmentNode | null;
+  readonly variableAssignments: VariableAssignmentNode[];
+  readonly whileStatement: WhileStatementNode | null;
+  readonly whileStatements: WhileStatementNode[];
+}
+
+export interface SourceStatementNode extends AstNode<"source_statement"> {
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+  readonly string: StringNode | null;
+  readonly strings: StringNode[];
+}
+
+export interface SpawnExpressionNode extends AstNode<"spawn_expression"> {
+  readonly block: BlockNode | null;
+  readonly commandExpression: CommandExpressionNode | null;
+}
+
+export interface SpecialVariableNode extends AstNode<"special_variable"> {}
+
+export interface SpreadElementNode extends AstNode<"spread_element"> {
+  readonly primaryExpression: PrimaryExpressionNode | null;
+}
+
+export interface StringNode extends AstNode<"string"> {
+  readonly backtickString: BacktickStringNode | null;
+  readonly doubleString: DoubleStringNode | null;
+  readonly heredoc: HeredocNode | null;
+  readonly rawString: RawStringNode | null;
+  readonly singleString: SingleStringNode | null;
+  readonly tripleString: TripleStringNode | null;
+}
+
+export interface TernaryExpressionNode extends AstNode<"ternary_expression"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly awaitExpressions: AwaitExpressionNode[];
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly binaryExpressions: BinaryExpressionNode[];
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly commandExpressions: CommandExpressionNode[];
+  readonly ifStatement: IfStatementNode | null;
+  readonly ifStatements: IfStatementNode[];
+  readonly matchStatement: MatchStatementNode | null;
+  readonly matchStatements: MatchStatementNode[];
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly parallelBlocks: ParallelBlockNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly spawnExpressions: SpawnExpressionNode[];
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly ternaryExpressions: TernaryExpressionNode[];
+  readonly tryStatement: TryStatementNode | null;
+  readonly tryStatements: TryStatementNode[];
+  readonly unaryExpression: UnaryExpressionNode | null;
+  readonly unaryExpressions: UnaryExpressionNode[];
+}
+
+export interface TestDefinitionNode extends AstNode<"test_definition"> {
+  readonly block: BlockNode | null;
+  readonly blocks: BlockNode[];
+  readonly string: StringNode | null;
+  readonly strings: StringNode[];
+}
+
+export interface ThrowStatementNode extends AstNode<"throw_statement"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly ifStatement: IfStatementNode | null;
+  readonly matchStatement: MatchStatementNode | null;
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly pipeline: PipelineNode | null;
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly tryStatement: TryStatementNode | null;
+  readonly unaryExpression: UnaryExpressionNode | null;
+}
+
+export interface TripleStringNode extends AstNode<"triple_string"> {
+  readonly escapeSequence: EscapeSequenceNode | null;
+  readonly escapeSequences: EscapeSequenceNode[];
+  readonly interpolation: InterpolationNode | null;
+  readonly interpolations: InterpolationNode[];
+  readonly stringContent: StringContentNode | null;
+  readonly stringContents: StringContentNode[];
+}
+
+export interface TryOperatorNode extends AstNode<"try_operator"> {
+  readonly primaryExpression: PrimaryExpressionNode | null;
+}
+
+export interface TryStatementNode extends AstNode<"try_statement"> {
+  readonly block: BlockNode | null;
+  readonly blocks: BlockNode[];
+  readonly catchClause: CatchClauseNode | null;
+  readonly catchClauses: CatchClauseNode[];
+  readonly finallyClause: FinallyClauseNode | null;
+  readonly finallyClauses: FinallyClauseNode[];
+}
+
+export interface TupleNode extends AstNode<"tuple"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly awaitExpressions: AwaitExpressionNode[];
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly binaryExpressions: BinaryExpressionNode[];
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly commandExpressions: CommandExpressionNode[];
+  readonly ifStatement: IfStatementNode | null;
+  readonly ifStatements: IfStatementNode[];
+  readonly matchStatement: MatchStatementNode | null;
+  readonly matchStatements: MatchStatementNode[];
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly parallelBlocks: ParallelBlockNode[];
+  readonly pipeline: PipelineNode | null;
+  readonly pipelines: PipelineNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly spawnExpressions: SpawnExpressionNode[];
+  readonly spreadElement: SpreadElementNode | null;
+  readonly spreadElements: SpreadElementNode[];
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly ternaryExpressions: TernaryExpressionNode[];
+  readonly tryStatement: TryStatementNode | null;
+  readonly tryStatements: TryStatementNode[];
+  readonly unaryExpression: UnaryExpressionNode | null;
+  readonly unaryExpressions: UnaryExpressionNode[];
+}
+
+export interface TuplePatternNode extends AstNode<"tuple_pattern"> {
+  readonly alternativePattern: AlternativePatternNode | null;
+  readonly alternativePatterns: AlternativePatternNode[];
+  readonly bindingPattern: BindingPatternNode | null;
+  readonly bindingPatterns: BindingPatternNode[];
+  readonly boolean: BooleanNode | null;
+  readonly booleans: BooleanNode[];
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+  readonly listPattern: ListPatternNode | null;
+  readonly listPatterns: ListPatternNode[];
+  readonly negativeNumber: NegativeNumberNode | null;
+  readonly negativeNumbers: NegativeNumberNode[];
+  readonly null: NullNode | null;
+  readonly nulls: NullNode[];
+  readonly number: NumberNode | null;
+  readonly numbers: NumberNode[];
+  readonly rangePattern: RangePatternNode | null;
+  readonly rangePatterns: RangePatternNode[];
+  readonly recordPattern: RecordPatternNode | null;
+  readonly recordPatterns: RecordPatternNode[];
+  readonly regexPattern: RegexPatternNode | null;
+  readonly regexPatterns: RegexPatternNode[];
+  readonly string: StringNode | null;
+  readonly strings: StringNode[];
+  readonly tuplePattern: TuplePatternNode | null;
+  readonly tuplePatterns: TuplePatternNode[];
+  readonly typedRecordPattern: TypedRecordPatternNode | null;
+  readonly typedRecordPatterns: TypedRecordPatternNode[];
+  readonly variable: VariableNode | null;
+  readonly variables: VariableNode[];
+  readonly variantPattern: VariantPatternNode | null;
+  readonly variantPatterns: VariantPatternNode[];
+}
+
+export interface TupleTypeNode extends AstNode<"tuple_type"> {
+  readonly typeHint: TypeHintNode | null;
+  readonly typeHints: TypeHintNode[];
+}
+
+export interface TypeHintNode extends AstNode<"type_hint"> {
+  readonly functionType: FunctionTypeNode | null;
+  readonly genericType: GenericTypeNode | null;
+  readonly tupleType: TupleTypeNode | null;
+  readonly typeIdentifier: TypeIdentifierNode | null;
+  readonly typeName: TypeNameNode | null;
+  readonly unionType: UnionTypeNode | null;
+}
+
+export interface TypeNameNode extends AstNode<"type_name"> {}
+
+export interface TypedParameterNode extends AstNode<"typed_parameter"> {
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+  readonly listPattern: ListPatternNode | null;
+  readonly listPatterns: ListPatternNode[];
+  readonly recordPattern: RecordPatternNode | null;
+  readonly recordPatterns: RecordPatternNode[];
+  readonly tuplePattern: TuplePatternNode | null;
+  readonly tuplePatterns: TuplePatternNode[];
+  readonly typeHint: TypeHintNode | null;
+  readonly typeHints: TypeHintNode[];
+  readonly variable: VariableNode | null;
+  readonly variables: VariableNode[];
+}
+
+export interface TypedRecordPatternNode extends AstNode<"typed_record_pattern"> {
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+  readonly recordPattern: RecordPatternNode | null;
+  readonly recordPatterns: RecordPatternNode[];
+}
+
+export interface UnaryExpressionNode extends AstNode<"unary_expression"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly ifStatement: IfStatementNode | null;
+  readonly implicitField: ImplicitFieldNode | null;
+  readonly matchStatement: MatchStatementNode | null;
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly tryStatement: TryStatementNode | null;
+  readonly unaryExpression: UnaryExpressionNode | null;
+}
+
+export interface UnionTypeNode extends AstNode<"union_type"> {
+  readonly genericType: GenericTypeNode | null;
+  readonly genericTypes: GenericTypeNode[];
+  readonly tupleType: TupleTypeNode | null;
+  readonly tupleTypes: TupleTypeNode[];
+  readonly typeIdentifier: TypeIdentifierNode | null;
+  readonly typeIdentifiers: TypeIdentifierNode[];
+  readonly typeName: TypeNameNode | null;
+  readonly typeNames: TypeNameNode[];
+}
+
+export interface VariableNode extends AstNode<"variable"> {
+  readonly envVariable: EnvVariableNode | null;
+  readonly regularVariable: RegularVariableNode | null;
+  readonly specialVariable: SpecialVariableNode | null;
+}
+
+export interface VariableAssignmentNode extends AstNode<"variable_assignment"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly awaitExpressions: AwaitExpressionNode[];
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly binaryExpressions: BinaryExpressionNode[];
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly commandExpressions: CommandExpressionNode[];
+  readonly heredocBody: HeredocBodyNode | null;
+  readonly heredocBodys: HeredocBodyNode[];
+  readonly heredocEnd: HeredocEndNode | null;
+  readonly heredocEnds: HeredocEndNode[];
+  readonly ifStatement: IfStatementNode | null;
+  readonly ifStatements: IfStatementNode[];
+  readonly matchStatement: MatchStatementNode | null;
+  readonly matchStatements: MatchStatementNode[];
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly parallelBlocks: ParallelBlockNode[];
+  readonly pipeline: PipelineNode | null;
+  readonly pipelines: PipelineNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly spawnExpressions: SpawnExpressionNode[];
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly ternaryExpressions: TernaryExpressionNode[];
+  readonly tryStatement: TryStatementNode | null;
+  readonly tryStatements: TryStatementNode[];
+  readonly unaryExpression: UnaryExpressionNode | null;
+  readonly unaryExpressions: UnaryExpressionNode[];
+  readonly variable: VariableNode | null;
+  readonly variables: VariableNode[];
+}
+
+export interface VariantPathNode extends AstNode<"variant_path"> {
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+  readonly typeIdentifier: TypeIdentifierNode | null;
+  readonly typeIdentifiers: TypeIdentifierNode[];
+}
+
+export interface VariantPatternNode extends AstNode<"variant_pattern"> {
+  readonly alternativePattern: AlternativePatternNode | null;
+  readonly alternativePatterns: AlternativePatternNode[];
+  readonly bindingPattern: BindingPatternNode | null;
+  readonly bindingPatterns: BindingPatternNode[];
+  readonly boolean: BooleanNode | null;
+  readonly booleans: BooleanNode[];
+  readonly identifier: IdentifierNode | null;
+  readonly identifiers: IdentifierNode[];
+  readonly listPattern: ListPatternNode | null;
+  readonly listPatterns: ListPatternNode[];
+  readonly negativeNumber: NegativeNumberNode | null;
+  readonly negativeNumbers: NegativeNumberNode[];
+  readonly null: NullNode | null;
+  readonly nulls: NullNode[];
+  readonly number: NumberNode | null;
+  readonly numbers: NumberNode[];
+  readonly rangePattern: RangePatternNode | null;
+  readonly rangePatterns: RangePatternNode[];
+  readonly recordPattern: RecordPatternNode | null;
+  readonly recordPatterns: RecordPatternNode[];
+  readonly regexPattern: RegexPatternNode | null;
+  readonly regexPatterns: RegexPatternNode[];
+  readonly string: StringNode | null;
+  readonly strings: StringNode[];
+  readonly tuplePattern: TuplePatternNode | null;
+  readonly tuplePatterns: TuplePatternNode[];
+  readonly typedRecordPattern: TypedRecordPatternNode | null;
+  readonly typedRecordPatterns: TypedRecordPatternNode[];
+  readonly variable: VariableNode | null;
+  readonly variables: VariableNode[];
+  readonly variantPath: VariantPathNode | null;
+  readonly variantPaths: VariantPathNode[];
+  readonly variantPattern: VariantPatternNode | null;
+  readonly variantPatterns: VariantPatternNode[];
+}
+
+export interface VisibilityModifierNode extends AstNode<"visibility_modifier"> {}
+
+export interface WhileStatementNode extends AstNode<"while_statement"> {
+  readonly awaitExpression: AwaitExpressionNode | null;
+  readonly awaitExpressions: AwaitExpressionNode[];
+  readonly binaryExpression: BinaryExpressionNode | null;
+  readonly binaryExpressions: BinaryExpressionNode[];
+  readonly block: BlockNode | null;
+  readonly blocks: BlockNode[];
+  readonly commandExpression: CommandExpressionNode | null;
+  readonly commandExpressions: CommandExpressionNode[];
+  readonly ifStatement: IfStatementNode | null;
+  readonly ifStatements: IfStatementNode[];
+  readonly matchStatement: MatchStatementNode | null;
+  readonly matchStatements: MatchStatementNode[];
+  readonly parallelBlock: ParallelBlockNode | null;
+  readonly parallelBlocks: ParallelBlockNode[];
+  readonly pipeline: PipelineNode | null;
+  readonly pipelines: PipelineNode[];
+  readonly primaryExpression: PrimaryExpressionNode | null;
+  readonly primaryExpressions: PrimaryExpressionNode[];
+  readonly spawnExpression: SpawnExpressionNode | null;
+  readonly spawnExpressions: SpawnExpressionNode[];
+  readonly ternaryExpression: TernaryExpressionNode | null;
+  readonly ternaryExpressions: TernaryExpressionNode[];
+  readonly tryStatement: TryStatementNode | null;
+  readonly tryStatements: TryStatementNode[];
+  readonly unaryExpression: UnaryExpressionNode | null;
+  readonly unaryExpressions: UnaryExpressionNode[];
+}
+
+export interface BackgroundNode extends AstNode<"background"> {}
+
+export interface BinaryNumberNode extends AstNode<"binary_number"> {}
+
+export interface BlockCommentNode extends AstNode<"block_comment"> {}
+
+export interface BreakStatementNode extends AstNode<"break_statement"> {}
+
+export interface ContinueStatementNode extends AstNode<"continue_statement"> {}
+
+export interface DateLiteralNode extends AstNode<"date_literal"> {}
+
+export interface EnvVariableNode extends AstNode<"env_variable"> {}
+
+export interface EscapeSequenceNode extends AstNode<"escape_sequence"> {}
+
+export interface FileDescriptorNode extends AstNode<"file_descriptor"> {}
+
+export interface HeredocEndNode extends AstNode<"heredoc_end"> {}
+
+export interface HeredocStartNode extends AstNode<"heredoc_start"> {}
+
+export interface HexNumberNode extends AstNode<"hex_number"> {}
+
+export interface IdentifierNode extends AstNode<"identifier"> {}
+
+export interface IntegerNode extends AstNode<"integer"> {}
+
+export interface LineCommentNode extends AstNode<"line_comment"> {}
+
+export interface OctalNumberNode extends AstNode<"octal_number"> {}
+
+export interface PathArgumentNode extends AstNode<"path_argument"> {}
+
+export interface RawStringNode extends AstNode<"raw_string"> {}
+
+export interface RegexNode extends AstNode<"regex"> {}
+
+export interface RegexFlagsNode extends AstNode<"regex_flags"> {}
+
+export interface RegularVariableNode extends AstNode<"regular_variable"> {}
+
+export interface RelativePathNode extends AstNode<"relative_path"> {}
+
+export interface SelfNode extends AstNode<"self"> {}
+
+export interface ShortFlagNode extends AstNode<"short_flag"> {}
+
+export interface SingleStringNode extends AstNode<"single_string"> {}
+
+export interface StringContentNode extends AstNode<"string_content"> {}
+
+export interface TypeIdentifierNode extends AstNode<"type_identifier"> {}
+
+export interface UnitNode extends AstNode<"unit"> {}
+
+export interface NodeTypeMap {
+  alias_definition: AliasDefinitionNode;
+  alternative_pattern: AlternativePatternNode;
+  argument: ArgumentNode;
+  argument_list: ArgumentListNode;
+  assignment: AssignmentNode;
+  await_expression: AwaitExpressionNode;
+  backtick_string: BacktickStringNode;
+  binary_expression: BinaryExpressionNode;
+  binding_pattern: BindingPatternNode;
+  block: BlockNode;
+  boolean: BooleanNode;
+  brace_expansion: BraceExpansionNode;
+  call_expression: CallExpressionNode;
+  catch_clause: CatchClauseNode;
+  closure: ClosureNode;
+  closure_parameters: ClosureParametersNode;
+  command_expression: CommandExpressionNode;
+  command_name: CommandNameNode;
+  command_substitution: CommandSubstitutionNode;
+  comment: CommentNode;
+  compound_assignment: CompoundAssignmentNode;
+  decorated_definition: DecoratedDefinitionNode;
+  decorator: DecoratorNode;
+  double_string: DoubleStringNode;
+  duration_literal: DurationLiteralNode;
+  elif_clause: ElifClauseNode;
+  else_clause: ElseClauseNode;
+  enum_definition: EnumDefinitionNode;
+  enum_record_payload: EnumRecordPayloadNode;
+  enum_tuple_payload: EnumTuplePayloadNode;
+  enum_variant: EnumVariantNode;
+  env_prefix: EnvPrefixNode;
+  field_access: FieldAccessNode;
+  filesize_literal: FilesizeLiteralNode;
+  finally_clause: FinallyClauseNode;
+  flag: FlagNode;
+  flag_with_value: FlagWithValueNode;
+  float: FloatNode;
+  for_statement: ForStatementNode;
+  function_definition: FunctionDefinitionNode;
+  function_type: FunctionTypeNode;
+  generic_type: GenericTypeNode;
+  heredoc: HeredocNode;
+  heredoc_body: HeredocBodyNode;
+  if_statement: IfStatementNode;
+  implicit_field: ImplicitFieldNode;
+  import_group: ImportGroupNode;
+  import_item: ImportItemNode;
+  import_list: ImportListNode;
+  import_statement: ImportStatementNode;
+  index_expression: IndexExpressionNode;
+  input_process_substitution: InputProcessSubstitutionNode;
+  interpolation: InterpolationNode;
+  lambda: LambdaNode;
+  lambda_parameter: LambdaParameterNode;
+  list: ListNode;
+  list_pattern: ListPatternNode;
+  list_pattern_element: ListPatternElementNode;
+  long_flag: LongFlagNode;
+  loop_statement: LoopStatementNode;
+  macro_definition: MacroDefinitionNode;
+  match_arm: MatchArmNode;
+  match_statement: MatchStatementNode;
+  method_call: MethodCallNode;
+  module_path: ModulePathNode;
+  named_argument: NamedArgumentNode;
+  negative_number: NegativeNumberNode;
+  null: NullNode;
+  number: NumberNode;
+  object_construction: ObjectConstructionNode;
+  object_definition: ObjectDefinitionNode;
+  object_field: ObjectFieldNode;
+  object_method: ObjectMethodNode;
+  optional_field_access: OptionalFieldAccessNode;
+  output_process_substitution: OutputProcessSubstitutionNode;
+  parallel_block: ParallelBlockNode;
+  parallel_branch: ParallelBranchNode;
+  parameter: ParameterNode;
+  parameter_list: ParameterListNode;
+  parenthesized_expression: ParenthesizedExpressionNode;
+  pattern_field: PatternFieldNode;
+  pipe_continuation: PipeContinuationNode;
+  pipeline: PipelineNode;
+  predicate: PredicateNode;
+  primary_expression: PrimaryExpressionNode;
+  range: RangeNode;
+  range_pattern: RangePatternNode;
+  record: RecordNode;
+  record_field: RecordFieldNode;
+  record_pattern: RecordPatternNode;
+  redirection: RedirectionNode;
+  regex_pattern: RegexPatternNode;
+  return_statement: ReturnStatementNode;
+  set: SetNode;
+  slice_expression: SliceExpressionNode;
+  source_file: SourceFileNode;
+  source_statement: SourceStatementNode;
+  spawn_expression: SpawnExpressionNode;
+  special_variable: SpecialVariableNode;
+  spread_element: SpreadElementNode;
+  string: StringNode;
+  ternary_expression: TernaryExpressionNode;
+  test_definition: TestDefinitionNode;
+  throw_statement: ThrowStatementNode;
+  triple_string: TripleStringNode;
+  try_operator: TryOperatorNode;
+  try_statement: TryStatementNode;
+  tuple: TupleNode;
+  tuple_pattern: TuplePatternNode;
+  tuple_type: TupleTypeNode;
+  type_hint: TypeHintNode;
+  type_name: TypeNameNode;
+  typed_parameter: TypedParameterNode;
+  typed_record_pattern: TypedRecordPatternNode;
+  unary_expression: UnaryExpressionNode;
+  union_type: UnionTypeNode;
+  variable: VariableNode;
+  variable_assignment: VariableAssignmentNode;
+  variant_path: VariantPathNode;
+  variant_pattern: VariantPatternNode;
+  visibility_modifier: VisibilityModifierNode;
+  while_statement: WhileStatementNode;
+  background: BackgroundNode;
+  binary_number: BinaryNumberNode;
+  block_comment: BlockCommentNode;
+  break_statement: BreakStatementNode;
+  continue_statement: ContinueStatementNode;
+  date_literal: DateLiteralNode;
+  env_variable: EnvVariableNode;
+  escape_sequence: EscapeSequenceNode;
+  file_descriptor: FileDescriptorNode;
+  heredoc_end: HeredocEndNode;
+  heredoc_start: HeredocStartNode;
+  hex_number: HexNumberNode;
+  identifier: IdentifierNode;
+  integer: IntegerNode;
+  line_comment: LineCommentNode;
+  octal_number: OctalNumberNode;
+  path_argument: PathArgumentNode;
+  raw_string: RawStringNode;
+  regex: RegexNode;
+  regex_flags: RegexFlagsNode;
+  regular_variable: RegularVariableNode;
+  relative_path: RelativePathNode;
+  self: SelfNode;
+  short_flag: ShortFlagNode;
+  single_string: SingleStringNode;
+  string_content: StringContentNode;
+  type_identifier: TypeIdentifierNode;
+  unit: UnitNode;
+}
+
+export type NodeType = keyof NodeTypeMap;
+
+export type AnyNode = NodeTypeMap[NodeType];
+
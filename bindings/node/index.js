@@ -10,10 +10,20 @@ try {
     if (error2.code !== 'MODULE_NOT_FOUND') {
       throw error2;
     }
-    throw error1
+    // No native addon: use the WebAssembly build; call `await init()` before parse().
+    // A fresh object, so the helpers below are not added to bindings/wasm itself
+    const { name, wasm, load } = require("../wasm");
+    module.exports = { name, wasm, load };
   }
 }
 
 try {
   module.exports.nodeTypeInfo = require("../../src/node-types.json");
 } catch (_) {}
+
+try {
+  module.exports.builtinCommands = require("../../builtins.json");
+} catch (_) {}
+
+// parse(), wrap() and the tree helpers; see api.js
+Object.assign(module.exports, require("./api"));
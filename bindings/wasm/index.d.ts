@@ -0,0 +1,16 @@
+import Parser = require("web-tree-sitter");
+
+export interface LoadOptions {
+  /** File path (Node) or URL (browser) of tree-sitter-apx.wasm. */
+  wasmPath?: string;
+  /** Passed to Parser.init to locate web-tree-sitter's tree-sitter.wasm. */
+  locateFile?: (scriptName: string, scriptDirectory: string) => string;
+}
+
+export declare const name: "apx";
+export declare const wasm: true;
+/** The loaded language; null until load() resolves. */
+export declare const language: Parser.Language | null;
+
+export declare function load(options?: LoadOptions): Promise<Parser.Language>;
+export declare function createParser(options?: LoadOptions): Promise<Parser>;
@@ -0,0 +1,48 @@
+// Loads the WebAssembly build (tree-sitter-apx.wasm, from `npm run build-wasm`)
+// through web-tree-sitter. Used directly in the browser, and by
+// bindings/node/index.js when no native addon was compiled.
+
+const DEFAULT_WASM_PATH = typeof __dirname === 'string'
+  ? `${__dirname}/../../tree-sitter-apx.wasm`
+  : 'tree-sitter-apx.wasm';
+
+let loading = null;
+
+/**
+ * Initializes web-tree-sitter and loads the ApX language once.
+ * `wasmPath` is a file path (Node) or URL (browser) of tree-sitter-apx.wasm;
+ * `locateFile` is handed to Parser.init to find web-tree-sitter's own runtime.
+ */
+function load({ wasmPath = DEFAULT_WASM_PATH, locateFile } = {}) {
+  if (!loading) {
+    const Parser = require('web-tree-sitter');
+    loading = Parser.init(locateFile ? { locateFile } : undefined)
+      .then(() => Parser.Language.load(wasmPath))
+      .then((language) => {
+        module.exports.language = language;
+        return language;
+      })
+      .catch((error) => {
+        loading = null;
+        throw error;
+      });
+  }
+  return loading;
+}
+
+/** A web-tree-sitter parser set up for ApX. */
+async function createParser(options) {
+  const language = await load(options);
+  const Parser = require('web-tree-sitter');
+  const parser = new Parser();
+  parser.setLanguage(language);
+  return parser;
+}
+
+module.exports = {
+  name: 'apx',
+  wasm: true,
+  language: null,  // set once load() resolves
+  load,
+  createParser,
+};
@@ -16,23 +16,45 @@ const PREC = {
   APPEND_PIPE: 2,    // |>
   NULL_PIPE: 2,      // |?
   ERROR_PIPE: 2,     // |!
-  NULL_COALESCE: 3,  // ??
-  OR: 4,
-  AND: 5,
-  COMPARE: 6,
-  ADD: 7,
-  MULT: 8,
-  UNARY: 9,
-  CALL: 10,
-  MEMBER: 11,
+  TERNARY: 3,        // cond ? a : b
+  NULL_COALESCE: 4,  // ??
+  RANGE: 4,          // .. ..= (below arithmetic so 0..$n - 1 ends at $n - 1)
+  OR: 5,
+  AND: 6,
+  COMPARE: 7,
+  ADD: 8,
+  MULT: 9,
+  UNARY: 10,
+  CALL: 11,
+  MEMBER: 12,
+  REDIRECT: 13,      // > >> 2> < bind to their command, not comparisons
 };
 
 module.exports = grammar({
   name: 'apx',
 
+  // Newlines are decided by src/scanner.c: a newline before a line starting
+  // with |, |>, |? or |! (or after a trailing backslash) continues the statement.
+  // The scanner also reads string bodies that need lookahead or state.
+  externals: $ => [
+    $._newline,
+    $._line_continuation,
+    $._triple_string_content,
+    $.raw_string,  // r"no escapes", r#"may contain "quotes""#
+    $.heredoc_start,
+    $._heredoc_content,
+    $.heredoc_end,
+    $._heredoc_body_start,  // newline ending a heredoc opener line
+    $._filter_name,  // where, each, map, ... at the start of a command
+    $._object_type,  // Dog in Dog { name: "Rex" }
+    $._duration_unit,  // s in 5s, touching the number
+    $._filesize_unit,  // mb in 10mb, touching the number
+  ],
+
   extras: $ => [
     /[ \t\r]/,  // whitespace excluding newlines (newlines are statement terminators)
     $.comment,
+    $._line_continuation,
   ],
 
   conflicts: $ => [
@@ -43,7 +65,21 @@ module.exports = grammar({
     [$.flag_with_value, $.flag],
     [$.lambda_parameter, $.typed_parameter],
     [$.closure_parameters, $.lambda],
-    [$.range, $.brace_expansion],
+    [$.type_hint, $.union_type],  // |$x: int| closes a lambda, int | string is a union
+    [$.union_type],
+    [$.primary_expression, $.object_construction],  // cmd Result::Err { ... }
+    [$.module_path],  // use util::net vs use util::{a, b}
+    [$._filter_head, $._command_call],  // where size > 1mb vs where -h
+    [$._command_call],  // cmd |$x| { ... } takes a lambda, cmd | next pipes
+    [$.range],  // 0..100..5 steps, 0..(100..5) would nest
+    [$._non_pipe_expression, $._range_bound],  // 0..$n - 1 ends at $n - 1, not (0..$n) - 1
+    [$.unary_expression, $._range_bound],  // -$n alone or as -$n..$n
+    [$.binary_expression, $._range_binary_expression],  // $a + 1 alone or as $a + 1..$b
+    [$._range_bound, $._plain_argument],  // echo $a + 1..3
+    [$._range_bound, $._predicate_expression],  // where size + 1..10
+    [$._range_bound, $.spread_element],  // ...$l + 1..3
+    [$._negation, $._range_bound, $._predicate_unary_expression],  // where -size..0
+    [$.try_operator, $._ternary_condition],  // $ok? | next vs $ok? 1 : 2
   ],
 
   word: $ => $.identifier,
@@ -60,28 +96,26 @@ module.exports = grammar({
     ),
 
     // Newline or semicolon as statement terminator
-    _line_ending: $ => /[\n;]/,
+    _line_ending: $ => choice($._newline, ';'),
 
     _statement: $ => choice(
       $.assignment,
       $.variable_assignment,
       $.compound_assignment,
-      $.if_statement,
       $.for_statement,
       $.while_statement,
       $.loop_statement,
-      $.match_statement,
       $.decorated_definition,
       $.function_definition,
       $.macro_definition,
       $.alias_definition,
-      $.try_statement,
       $.test_definition,
       $.enum_definition,
       $.object_definition,
       $.import_statement,
       $.source_statement,
       $.return_statement,
+      $.throw_statement,
       $.break_statement,
       $.continue_statement,
       $._expression,
@@ -116,10 +150,18 @@ module.exports = grammar({
       $._non_pipe_expression,
     ),
 
+    // if, match and try are expressions: let label = if $n > 0 { "pos" } else { "neg" }
     _non_pipe_expression: $ => choice(
+      $.ternary_expression,
       $.binary_expression,
       $.unary_expression,
       $.primary_expression,
+      $.await_expression,
+      $.spawn_expression,
+      $.parallel_block,
+      $.if_statement,
+      $.match_statement,
+      $.try_statement,
       $.command_expression,
     ),
 
@@ -127,14 +169,26 @@ module.exports = grammar({
     pipeline: $ => prec.left(PREC.PIPE, seq(
       $._non_pipe_expression,
       repeat1(seq(choice('|', '|>', '|?', '|!'), $._non_pipe_expression)),
+      optional($._heredoc),
     )),
 
     primary_expression: $ => choice(
       $.number,
+      $.duration_literal,
+      $.filesize_literal,
+      $.date_literal,
       $.string,
       $.boolean,
       $.null,
+      $.object_construction,
+      $.variant_path,
+      $.self,
+      $.call_expression,
+      $.try_operator,
       $.field_access,
+      $.optional_field_access,
+      $.index_expression,
+      $.slice_expression,
       $.variable,
       $.list,
       $.record,
@@ -162,10 +216,51 @@ module.exports = grammar({
       prec.left(PREC.MULT, seq($._non_pipe_expression, choice('*', '/', '%'), $._non_pipe_expression)),
     ),
 
+    // Compact conditional: $n > 0 ? "pos" : "neg", $ok? 1 : 2
+    ternary_expression: $ => prec.right(PREC.TERNARY, seq(
+      choice(
+        seq($._non_pipe_expression, '?'),
+        $._ternary_condition,
+      ),
+      $._non_pipe_expression,
+      ':',
+      $._non_pipe_expression,
+    )),
+
+    // A ? touching the condition lexes as a try operator; what follows decides
+    _ternary_condition: $ => prec(PREC.MEMBER, seq(
+      $.primary_expression,
+      alias(token.immediate('?'), '?'),
+    )),
+
     unary_expression: $ => choice(
       prec(PREC.UNARY, seq('not', $._non_pipe_expression)),
       prec(PREC.UNARY, seq('!', $._non_pipe_expression)),
-      prec(PREC.UNARY, seq('-', $.primary_expression)),
+      $._negation,
+    ),
+
+    _negation: $ => prec(PREC.UNARY, seq('-', $.primary_expression)),
+
+    // Async: await $task, spawn { ... }, parallel { label: { ... } }
+    await_expression: $ => prec(PREC.UNARY, seq('await', $._non_pipe_expression)),
+
+    spawn_expression: $ => seq(
+      'spawn',
+      choice($.block, $.command_expression),
+    ),
+
+    parallel_block: $ => seq(
+      'parallel',
+      '{',
+      repeat($._line_ending),
+      repeat(seq($.parallel_branch, repeat($._line_ending))),
+      '}',
+    ),
+
+    // Branch of a parallel block, optionally labelled: users: { http-get $url }
+    parallel_branch: $ => seq(
+      optional(seq($.identifier, ':')),
+      $.block,
     ),
 
     // Literals
@@ -177,32 +272,56 @@ module.exports = grammar({
       $.octal_number,
     ),
 
-    integer: $ => /\d+/,
+    // Decimal literals allow _ digit separators: 1_000_000, 3.141_592
+    integer: $ => /\d[\d_]*/,
     // Float includes scientific notation: 1.5, 1.5e10, 2e-3, 1E+6
     float: $ => choice(
-      /\d+\.\d+([eE][+-]?\d+)?/,   // 1.5, 1.5e10, 1.5E-3
-      /\d+[eE][+-]?\d+/,            // 1e6, 2E-3, 1e+10
+      /\d[\d_]*\.\d[\d_]*([eE][+-]?\d+)?/,   // 1.5, 1.5e10, 1.5E-3
+      /\d[\d_]*[eE][+-]?\d+/,                 // 1e6, 2E-3, 1e+10
     ),
     hex_number: $ => /0x[0-9a-fA-F_]+/,
     binary_number: $ => /0b[01_]+/,
     octal_number: $ => /0o[0-7_]+/,
 
+    // Durations: 5s, 250ms, 1.5h, 2h30m
+    duration_literal: $ => seq(
+      choice($.integer, $.float),
+      alias($._duration_unit, $.unit),
+      repeat(seq(
+        alias(token.immediate(/\d+/), $.integer),
+        alias($._duration_unit, $.unit),
+      )),
+    ),
+
+    // Filesizes: 10mb, 512kb, 1.5GiB, 64b
+    filesize_literal: $ => seq(
+      choice($.integer, $.float),
+      alias($._filesize_unit, $.unit),
+    ),
+
+    // ISO dates: 2026-10-19, 2026-10-19T08:30:00Z
+    date_literal: $ => /\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?/,
+
     string: $ => choice(
       $.double_string,
       $.single_string,
       $.triple_string,
       $.raw_string,
       $.backtick_string,
+      $.heredoc,
     ),
 
-    double_string: $ => token(seq(
+    // Double-quoted string with escapes and $var / ${expr} interpolation
+    double_string: $ => seq(
       '"',
       repeat(choice(
-        /\\./,             // escape sequence
-        /[^"\\]+/,         // regular characters
+        $.string_content,
+        alias(token.immediate('$'), $.string_content),  // lone $ (e.g. "$5")
+        $.escape_sequence,
+        $.interpolation,
       )),
-      '"',
-    )),
+      token.immediate('"'),
+    ),
 
     single_string: $ => token(seq(
       "'",
@@ -213,16 +332,35 @@ module.exports = grammar({
       "'",
     )),
 
+    // Triple-quoted string: like double_string, but may contain quotes;
+    // the last three of a run of quotes close it
     triple_string: $ => seq(
       '"""',
-      /[^"]*(""?[^"]*)*/,
+      repeat(choice(
+        alias($._triple_string_content, $.string_content),
+        $.escape_sequence,
+        $.interpolation,
+      )),
       '"""',
     ),
 
-    raw_string: $ => seq(
-      'r"',
-      /[^"]*/,
-      '"',
+    // Heredoc: the string is just the <<EOF opener. The rest of its line
+    // belongs to the command (cat <<EOF > out.txt, q <<SQL | to-json) and
+    // the text follows the statement as a heredoc_body
+    heredoc: $ => $.heredoc_start,
+
+    // Lines after a heredoc opener up to one holding only the delimiter
+    // (which may be indented with <<-EOF). <<'EOF' turns off interpolation.
+    // Ends the statement holding the opener: a command, pipeline, assignment
+    // or return
+    _heredoc: $ => seq($.heredoc_body, $.heredoc_end),
+
+    heredoc_body: $ => seq(
+      $._heredoc_body_start,
+      repeat(choice(
+        alias($._heredoc_content, $.string_content),
+        $.interpolation,
+      )),
     ),
 
     backtick_string: $ => seq(
@@ -231,9 +369,16 @@ module.exports = grammar({
       '`',
     ),
 
-    escape_sequence: $ => /\\[nrt"'\\]/,
+    // Literal text inside a string - outranks # so it never starts a comment
+    string_content: $ => token.immediate(prec(3, /[^"\\$]+/)),
+
+    escape_sequence: $ => token.immediate(/\\(u\{[0-9a-fA-F]+\}|x[0-9a-fA-F]{2}|.|\n)/),
 
-    string_interpolation: $ => seq('$', $.identifier),
+    // Interpolation: "Hello $name" or "${$it.size} bytes"
+    interpolation: $ => choice(
+      $.variable,
+      seq(token.immediate('${'), $._expression, '}'),
+    ),
 
     boolean: $ => choice('true', 'false'),
 
@@ -250,25 +395,107 @@ module.exports = grammar({
     env_variable: $ => /\$env\.[a-zA-Z_][a-zA-Z0-9_]*/,
     special_variable: $ => choice('$it', '$_', '$err'),
 
-    // Field access: $var.field or $it.name
+    // Postfix member access on any primary: $rec.name, $list.0, (ls).name
     field_access: $ => prec.left(PREC.MEMBER, seq(
-      $.variable,
-      repeat1(seq('.', $.identifier)),
+      $.primary_expression,
+      token.immediate('.'),
+      choice($.identifier, $.integer),
     )),
 
-    // Range
-    range: $ => seq(
-      $.integer,
-      choice('..', '..='),
-      $.integer,
+    // Null-safe member access: $x?.name is null when $x is
+    optional_field_access: $ => prec.left(PREC.MEMBER, seq(
+      $.primary_expression,
+      token.immediate('?.'),
+      choice($.identifier, $.integer),
+    )),
+
+    // Function calls: add(1, 2), ai.ask("q"), $callback($x), greet(name: "Ana")
+    // The ( must touch the callee - `add (1, 2)` stays a command with a tuple argument
+    call_expression: $ => prec(PREC.CALL, seq(
+      choice($.identifier, $.method_call, $.primary_expression),
+      $.argument_list,
+    )),
+
+    argument_list: $ => seq(
+      token.immediate('('),
+      optional(seq(
+        $._call_argument,
+        repeat(seq(',', $._call_argument)),
+        optional(','),
+      )),
+      ')',
+    ),
+
+    _call_argument: $ => choice(
+      $.named_argument,
+      $.spread_element,
+      $._expression,
+    ),
+
+    // Named argument: name: "Ana"
+    named_argument: $ => seq(
+      $.identifier,
+      ':',
+      $._expression,
+    ),
+
+    // Bracket indexing: $rec["key with space"], $list[$i]
+    index_expression: $ => prec.left(PREC.MEMBER, seq(
+      $.primary_expression,
+      token.immediate('['),
+      $._expression,
+      ']',
+    )),
+
+    // Slicing: $l[1..3], $l[..3], $l[2..] - wins over indexing with a range value
+    slice_expression: $ => prec.left(PREC.MEMBER + 1, seq(
+      $.primary_expression,
+      token.immediate('['),
+      $.range,
+      ']',
+    )),
+
+    // Range: 1..10, $start..$end, 0..100..5, -3..3, 'a'..'z', 5.., ..10
+    // Right-associative so 5..$x keeps its end; a step outranks a nested
+    // range at runtime so 0..100..5 is never read as 0..(100..5)
+    range: $ => prec.right(PREC.RANGE, choice(
+      seq($._range_bound, choice('..', '..='), optional($._range_bound)),
+      prec.dynamic(1, seq(
+        $._range_bound,
+        choice('..', '..='),
+        $._range_bound,
+        '..',
+        $._range_bound,
+      )),
+      seq($._range_prefix, $._range_bound),
+    )),
+
+    // Arithmetic binds tighter than a range: 0..$n - 1 is 0..($n - 1), and
+    // $a + 1..$b is ($a + 1)..$b; also -3..3
+    _range_bound: $ => choice(
+      $.primary_expression,
+      alias($._negation, $.unary_expression),
+      prec.dynamic(1, alias($._range_binary_expression, $.binary_expression)),
+    ),
+
+    _range_binary_expression: $ => choice(
+      prec.left(PREC.ADD, seq($._range_bound, choice('+', '-', '++'), $._range_bound)),
+      prec.left(PREC.MULT, seq($._range_bound, choice('*', '/', '%'), $._range_bound)),
+    ),
+
+    // Leading .. or ..= of an open range; loses to path_argument so `cd ..`
+    // stays a path, and to the infix operator so `cmd $a ..=5` is one range
+    _range_prefix: $ => choice(
+      alias(token(prec(-1, '..')), '..'),
+      alias(token(prec(-1, '..=')), '..='),
     ),
 
     // List
     list: $ => seq(
       '[',
       optional(seq(
-        $._expression,
-        repeat(seq(',', $._expression)),
+        $._list_element,
+        repeat(seq(',', $._list_element)),
         optional(','),
       )),
       ']',
@@ -278,8 +505,8 @@ module.exports = grammar({
     record: $ => prec(2, seq(
       '{',
       optional(seq(
-        $.record_field,
-        repeat(seq(',', $.record_field)),
+        choice($.record_field, $.spread_element),
+        repeat(seq(',', choice($.record_field, $.spread_element))),
         optional(','),
       )),
       '}',
@@ -326,18 +553,23 @@ module.exports = grammar({
     )),
 
     lambda_parameter: $ => seq(
-      $.variable,
+      choice($.variable, $._destructuring_pattern),
       optional(seq(':', $.type_hint)),
     ),
 
     // Tuple: (1, 2, 3) or tuple [1, 2, 3]
     tuple: $ => choice(
-      seq('(', $._expression, ',', $._expression, repeat(seq(',', $._expression)), optional(','), ')'),
-      seq('tuple', '[', optional(seq($._expression, repeat(seq(',', $._expression)), optional(','))), ']'),
+      seq('(', $._list_element, ',', $._list_element, repeat(seq(',', $._list_element)), optional(','), ')'),
+      seq('tuple', '[', optional(seq($._list_element, repeat(seq(',', $._list_element)), optional(','))), ']'),
     ),
 
     // Set: set[1, 2, 3]
-    set: $ => seq('set', '[', optional(seq($._expression, repeat(seq(',', $._expression)), optional(','))), ']'),
+    set: $ => seq('set', '[', optional(seq($._list_element, repeat(seq(',', $._list_element)), optional(','))), ']'),
+
+    _list_element: $ => choice($._expression, $.spread_element),
+
+    // Spread: [...$a, ...$b], {...$defaults, port: 8080}, f(...$args), cmd ...$args
+    spread_element: $ => seq('...', $.primary_expression),
 
     // Command substitution: $(command)
     command_substitution: $ => seq('$(', $._expression, ')'),
@@ -348,15 +580,16 @@ module.exports = grammar({
     // Output process substitution: >(command)
     output_process_substitution: $ => seq('>(', $._expression, ')'),
 
-    // Brace expansion: {a,b,c} or {1..5}
-    brace_expansion: $ => seq(
+    // Brace expansion: {a,b,c} or {1..5} - a lone range in braces expands
+    // rather than being a block
+    brace_expansion: $ => prec(PREC.MEMBER, seq(
       '{',
       choice(
         seq($._expression, repeat1(seq(',', $._expression))),  // {a,b,c}
-        seq($.integer, '..', $.integer),                        // {1..5}
+        $.range,                                                // {1..5}
       ),
       '}',
-    ),
+    )),
 
     // Control flow
     if_statement: $ => seq(
@@ -378,14 +611,22 @@ module.exports = grammar({
       $.block,
     ),
 
+    // for $x in ..., for $k, $v in $rec, for { name } in $users
     for_statement: $ => seq(
       'for',
-      choice($.variable, $.identifier),
+      $._for_binding,
+      repeat(seq(',', $._for_binding)),
       'in',
       $._expression,
       $.block,
     ),
 
+    _for_binding: $ => choice(
+      $.variable,
+      $.identifier,
+      $._destructuring_pattern,
+    ),
+
     while_statement: $ => seq(
       'while',
       $._expression,
@@ -399,7 +640,11 @@ module.exports = grammar({
       'match',
       $._expression,
       '{',
-      repeat($.match_arm),
+      repeat($._line_ending),
+      // Arms end at a comma or line ending, so `$x ..5 =>` never reads the
+      // next arm's range pattern as part of this arm's value
+      repeat(seq($.match_arm, choice(',', $._line_ending), repeat($._line_ending))),
+      optional($.match_arm),
       '}',
     ),
 
@@ -408,22 +653,77 @@ module.exports = grammar({
       optional(seq('if', $._expression)),
       '=>',
       choice($._expression, $.block),
-      optional(','),
     ),
 
     _pattern: $ => choice(
+      $._simple_pattern,
+      $.alternative_pattern,  // 1 | 2 | 3
+      $.binding_pattern,      // $n @ [_, ...]
+    ),
+
+    _simple_pattern: $ => choice(
       $.number,
+      $.negative_number,    // -1
       $.string,
       $.boolean,
       $.null,
+      $.range_pattern,      // 0..=9, 'a'..='z'
+      $.regex_pattern,      // /^v\d+$/i
       $.record_pattern,     // { name, age } or { name: $n, age: $a }
       $.typed_record_pattern, // Dog { name, age }
+      $.variant_pattern,    // Status::active, Result::Ok($v), Result::Err { msg }
       $.list_pattern,       // [first, second, ...rest]
+      $.tuple_pattern,      // (x, y)
+      $.variable,
       $.identifier,
       '_',
     ),
 
-    // Record pattern: { name, age } or { name: $n }
+    // Alternation: 1 | 2 | 3 => "small"
+    alternative_pattern: $ => seq(
+      $._simple_pattern,
+      repeat1(seq('|', $._simple_pattern)),
+    ),
+
+    // Binding: $n @ [_, ...] binds the whole matched value
+    binding_pattern: $ => seq(
+      choice($.variable, $.identifier),
+      '@',
+      $._simple_pattern,
+    ),
+
+    negative_number: $ => seq('-', $.number),
+
+    // Range pattern: 0..=9, -3..3, 'a'..='z', 10..
+    range_pattern: $ => choice(
+      seq($._range_pattern_bound, choice('..', '..='), optional($._range_pattern_bound)),
+      seq(choice('..', '..='), $._range_pattern_bound),
+    ),
+
+    _range_pattern_bound: $ => choice(
+      $.number,
+      $.negative_number,
+      $.string,
+    ),
+
+    // Regex pattern matched against strings: /^v\d+$/i
+    regex_pattern: $ => seq(
+      '/',
+      alias(token.immediate(/([^\/\\\n]|\\.)+/), $.regex),
+      token.immediate('/'),
+      optional(alias(token.immediate(/[a-z]+/), $.regex_flags)),
+    ),
+
+    // Tuple pattern: (x, y), (_, $b)
+    tuple_pattern: $ => seq(
+      '(',
+      $._pattern,
+      repeat(seq(',', $._pattern)),
+      optional(','),
+      ')',
+    ),
+
+    // Record pattern: { name, age } or { name: $n } or { address: { city } }
     record_pattern: $ => seq(
       '{',
       optional(seq(
@@ -435,8 +735,15 @@ module.exports = grammar({
     ),
 
     pattern_field: $ => choice(
-      $.identifier,                                    // shorthand: { name }
-      seq($.identifier, ':', choice($.variable, '_')), // binding: { name: $n }
+      $.identifier,                        // shorthand: { name }
+      seq($.identifier, ':', $._pattern),  // nested: { name: $n }, { pos: (x, y) }
+    ),
+
+    // Binding patterns shared by let, for and parameters: [a, b], { name }, (x, y)
+    _destructuring_pattern: $ => choice(
+      $.list_pattern,
+      $.record_pattern,
+      $.tuple_pattern,
     ),
 
     // Typed record pattern: Dog { name, age }
@@ -445,6 +752,21 @@ module.exports = grammar({
       $.record_pattern,
     ),
 
+    // Variant pattern: Status::active, Result::Ok($v), Result::Err { msg }
+    variant_pattern: $ => seq(
+      $.variant_path,
+      optional(choice(
+        seq(
+          token.immediate('('),
+          $._pattern,
+          repeat(seq(',', $._pattern)),
+          optional(','),
+          ')',
+        ),
+        $.record_pattern,
+      )),
+    ),
+
     // List pattern: [first, second, ...rest]
     list_pattern: $ => seq(
       '[',
@@ -457,10 +779,8 @@ module.exports = grammar({
     ),
 
     list_pattern_element: $ => choice(
-      $.identifier,
-      $.variable,
-      seq('...', choice($.identifier, $.variable)),  // rest pattern
-      '_',
+      $._pattern,
+      seq('...', optional(choice($.identifier, $.variable))),  // rest pattern
     ),
 
     block: $ => prec(1, seq(
@@ -474,30 +794,63 @@ module.exports = grammar({
       '}',
     )),
 
-    // Try/catch
+    // Try/catch/finally - also usable as an expression: let x = try { ... } catch { null }
     try_statement: $ => seq(
       'try',
       $.block,
+      choice(
+        seq(repeat1($.catch_clause), optional($.finally_clause)),
+        $.finally_clause,
+      ),
+    ),
+
+    // catch { }, catch $e { }, catch $e: IOError | NetError { }
+    catch_clause: $ => seq(
       'catch',
-      optional($.identifier),
+      optional(seq(
+        choice($.variable, $.identifier),
+        optional(seq(':', $.type_hint)),
+      )),
       $.block,
     ),
 
-    // Decorated definitions (function or test with @decorator)
+    finally_clause: $ => seq('finally', $.block),
+
+    // throw "bad input", raise $err
+    throw_statement: $ => seq(
+      choice('throw', 'raise'),
+      $._expression,
+    ),
+
+    // Error propagation: load($path)?, $result?
+    try_operator: $ => prec(PREC.MEMBER, seq(
+      $.primary_expression,
+      token.immediate('?'),
+    )),
+
+    // Decorated definitions: each @decorator may sit on its own line
     decorated_definition: $ => seq(
-      repeat1($.decorator),
-      choice($.function_definition, $.test_definition),
+      repeat1(seq($.decorator, repeat($._line_ending))),
+      choice(
+        $.function_definition,
+        $.test_definition,
+        $.macro_definition,
+        $.alias_definition,
+        $.enum_definition,
+        $.object_definition,
+      ),
     ),
 
-    // Decorator: @name or @name "arg" or @name n
+    // Decorator: @name, @name "arg", @name n, @retry(times: 3, delay: 500ms)
     decorator: $ => seq(
       '@',
       $.identifier,
-      optional(choice($.string, $.number)),
+      optional(choice($.argument_list, $.string, $.number)),
     ),
 
     // Function definition with optional type hints
     function_definition: $ => seq(
+      optional($.visibility_modifier),
       'fn',
       $.identifier,
       $.parameter_list,
@@ -505,10 +858,22 @@ module.exports = grammar({
       $.block,
     ),
 
-    // Type hints: int, float, string, bool, list, record, etc.
+    // Type hints: int, string?, Dog, list<int>, record<string, any>,
+    // int | string, (int, string), closure(int) -> bool
     type_hint: $ => choice(
-      seq($.type_name, '?'),  // Optional type: int?
-      $.type_name,
+      $._simple_type,
+      $.union_type,
+      $.function_type,
+    ),
+
+    _simple_type: $ => seq(
+      choice(
+        $.type_name,
+        alias($.identifier, $.type_identifier),  // user types from obj / enum
+        $.generic_type,
+        $.tuple_type,
+      ),
+      optional('?'),  // Optional type: int?
     ),
 
     type_name: $ => choice(
@@ -517,6 +882,42 @@ module.exports = grammar({
       'task', 'enum', 'any', 'null',
     ),
 
+    // Generic type: list<int>, record<string, any>, Result<int, string>
+    generic_type: $ => seq(
+      choice($.type_name, alias($.identifier, $.type_identifier)),
+      '<',
+      $.type_hint,
+      repeat(seq(',', $.type_hint)),
+      '>',
+    ),
+
+    // Union type: int | string | null
+    union_type: $ => seq(
+      $._simple_type,
+      repeat1(seq('|', $._simple_type)),
+    ),
+
+    // Tuple type: (int, string)
+    tuple_type: $ => seq(
+      '(',
+      $.type_hint,
+      repeat1(seq(',', $.type_hint)),
+      optional(','),
+      ')',
+    ),
+
+    // Function type: closure(int, string) -> bool
+    function_type: $ => prec.right(seq(
+      'closure',
+      '(',
+      optional(seq(
+        $.type_hint,
+        repeat(seq(',', $.type_hint)),
+      )),
+      ')',
+      optional(seq('->', $.type_hint)),
+    )),
+
     parameter_list: $ => seq(
       '(',
       optional(seq(
@@ -528,14 +929,14 @@ module.exports = grammar({
 
     // Parameter with optional type hint and default value
     parameter: $ => seq(
-      choice($.variable, $.identifier),
+      choice($.variable, $.identifier, $.self, $._destructuring_pattern),
       optional(seq(':', $.type_hint)),
       optional(seq('=', $._expression)),
     ),
 
     // Typed parameter for closures
     typed_parameter: $ => seq(
-      choice($.variable, $.identifier),
+      choice($.variable, $.identifier, $._destructuring_pattern),
       optional(seq(':', $.type_hint)),
     ),
 
@@ -543,6 +944,7 @@ module.exports = grammar({
     // macro name($a, $b) { } - parenthesized
     // macro name $a $b { }   - shell-style
     macro_definition: $ => seq(
+      optional($.visibility_modifier),
       'macro',
       $.identifier,
       choice(
@@ -554,6 +956,7 @@ module.exports = grammar({
 
     // Alias definition
     alias_definition: $ => seq(
+      optional($.visibility_modifier),
       'alias',
       $.identifier,
       '=',
@@ -567,43 +970,123 @@ module.exports = grammar({
       $.block,
     ),
 
-    // Enum definition: enum Status { pending, active, done }
+    // Enum definition: enum Status { pending, active = 1, done }
+    // Variants are separated by commas and/or newlines
     enum_definition: $ => seq(
+      optional($.visibility_modifier),
       'enum',
       $.identifier,
       '{',
+      repeat($._line_ending),
       optional(seq(
-        $.identifier,
-        repeat(seq(',', $.identifier)),
-        optional(','),
+        $.enum_variant,
+        repeat(seq($._member_separator, $.enum_variant)),
+        optional($._member_separator),
+      )),
+      '}',
+    ),
+
+    // Variant: pending, active = 1, Ok(any), Err { msg: string }
+    enum_variant: $ => seq(
+      repeat(seq($.decorator, repeat($._line_ending))),
+      $.identifier,
+      optional(choice(
+        seq('=', $._expression),
+        $.enum_tuple_payload,
+        $.enum_record_payload,
       )),
+    ),
+
+    enum_tuple_payload: $ => seq(
+      '(',
+      $.type_hint,
+      repeat(seq(',', $.type_hint)),
+      optional(','),
+      ')',
+    ),
+
+    enum_record_payload: $ => seq(
+      '{',
+      $.object_field,
+      repeat(seq(',', $.object_field)),
+      optional(','),
       '}',
     ),
 
-    // Object definition: obj Name { field1, field2, ... }
+    // Variant path: Status::active, Result::Ok
+    variant_path: $ => seq(
+      alias($.identifier, $.type_identifier),
+      '::',
+      $.identifier,
+    ),
+
+    // Object definition: obj Name { field: type = default, fn method(self) { } }
+    // Members are separated by commas and/or newlines
     object_definition: $ => seq(
+      optional($.visibility_modifier),
       'obj',
       $.identifier,
       '{',
+      repeat($._line_ending),
       optional(seq(
-        $.object_field,
-        repeat(seq(',', $.object_field)),
-        optional(','),
+        $._object_member,
+        repeat(seq($._member_separator, $._object_member)),
+        optional($._member_separator),
       )),
       '}',
     ),
 
-    object_field: $ => choice(
-      // Regular field
+    _object_member: $ => choice(
+      $.object_field,
+      $.object_method,
+    ),
+
+    _member_separator: $ => choice(
+      seq(',', repeat($._line_ending)),
+      repeat1($._line_ending),
+    ),
+
+    // Field with optional type and default: name, name: string, name: string = "x"
+    object_field: $ => seq(
+      $.identifier,
+      optional(seq(':', $.type_hint)),
+      optional(seq('=', $._expression)),
+    ),
+
+    // Method: @decorator fn speak(self) -> string { ... }
+    object_method: $ => seq(
+      repeat(seq($.decorator, repeat($._line_ending))),
+      'fn',
       $.identifier,
-      // Method definition
-      seq('fn', $.identifier, $.parameter_list, $.block),
+      $.parameter_list,
+      optional(seq('->', $.type_hint)),
+      $.block,
+    ),
+
+    // Object construction: Dog { name: "Rex", age: 3 }, Result::Err { msg: "x" }
+    // The type must be capitalized, so to-json { a: 1 } stays a command with a
+    // record argument; a variant path is preferred over an argument list
+    object_construction: $ => choice(
+      seq(alias($._object_type, $.type_identifier), $.record),
+      prec.dynamic(1, seq($.variant_path, $.record)),
     ),
 
-    // Import statement
+    // Receiver inside object methods: self.name
+    self: $ => 'self',
+
+    // Visibility: pub fn, export enum - marks the module's public surface
+    visibility_modifier: $ => choice('pub', 'export'),
+
+    // Import statement: use util::net, use util::{a, b as c}, use ./lib/net
     import_statement: $ => choice(
-      seq('use', choice($.module_path, $.string)),
-      seq('from', choice($.module_path, $.string), 'import', $.import_list),
+      seq('use', $._module_source, optional(seq('::', $.import_group))),
+      seq('from', $._module_source, 'import', $.import_list),
+    ),
+
+    _module_source: $ => choice(
+      $.module_path,
+      $.relative_path,
+      $.string,
     ),
 
     // Source statement: source "file" or source "file" as namespace
@@ -618,6 +1101,9 @@ module.exports = grammar({
       repeat(seq('::', $.identifier)),
     ),
 
+    // Relative module path: ./lib/net, ../shared/util
+    relative_path: $ => /\.\.?\/[a-zA-Z0-9_.\/-]+/,
+
     import_list: $ => choice(
       '*',
       seq(
@@ -626,22 +1112,30 @@ module.exports = grammar({
       ),
     ),
 
+    // Brace group: {a, b as c}
+    import_group: $ => seq(
+      '{',
+      $.import_item,
+      repeat(seq(',', $.import_item)),
+      optional(','),
+      '}',
+    ),
+
     import_item: $ => seq(
       $.identifier,
       optional(seq('as', $.identifier)),
     ),
 
     // Return, break, continue
-    return_statement: $ => prec.right(seq('return', optional($._expression))),
+    return_statement: $ => prec.right(seq('return', optional(seq($._expression, optional($._heredoc))))),
     break_statement: $ => 'break',
     continue_statement: $ => 'continue',
 
     // Assignment with keyword (let, const, set)
-    assignment: $ => seq(
-      choice('let', 'const', 'set'),
-      $.identifier,
-      '=',
-      $._expression,
+    // Destructuring is let/const only: `set [` starts a set literal
+    assignment: $ => choice(
+      seq(choice('let', 'const', 'set'), $.identifier, '=', $._expression, optional($._heredoc)),
+      seq(choice('let', 'const'), $._destructuring_pattern, '=', $._expression, optional($._heredoc)),
     ),
 
     // Bare variable assignment: $var = value
@@ -649,6 +1143,7 @@ module.exports = grammar({
       $.variable,
       '=',
       $._expression,
+      optional($._heredoc),
     )),
 
     // Compound assignment: $var += 1, $var -= 2, etc.
@@ -656,26 +1151,107 @@ module.exports = grammar({
       $.variable,
       choice('+=', '-=', '*=', '/=', '%='),
       $._expression,
+      optional($._heredoc),
     )),
 
     // Command expression - handles commands and command pipelines
     // Integrates pipe handling to avoid conflicts with pipeline rule
     command_expression: $ => prec.left(PREC.COMMAND, seq(
-      $.command_name,
-      repeat($.argument),
+      repeat($.env_prefix),
+      $._command_call,
       optional($.pipe_continuation),
+      optional($.background),
+      optional($._heredoc),
     )),
 
     // Pipe continuation for command pipelines: | cmd args | cmd args ...
     pipe_continuation: $ => prec.left(PREC.PIPE, repeat1(seq(
       choice('|', '|>', '|?', '|!'),
-      $.command_name,
-      repeat($.argument),
+      repeat($.env_prefix),
+      $._command_call,
+    ))),
+
+    // A filter builtin followed by a row condition reads it as one predicate,
+    // outranking a redirection (where size > 10mb); anything else
+    // (find . -name x) falls back to plain arguments. The first of those is
+    // never a dotted name, which would hide a field path (where meta.owner == 1)
+    _command_call: $ => choice(
+      seq($.command_name, repeat(choice($.argument, $.redirection))),
+      seq(
+        alias($._filter_head, $.command_name),
+        optional(seq(
+          choice(alias($._plain_argument, $.argument), $.redirection),
+          repeat(choice($.argument, $.redirection)),
+        )),
+      ),
+      prec.dynamic(2, seq(alias($._filter_command, $.command_name), $.predicate)),
+    ),
+
+    _filter_head: $ => $._filter_command,
+
+    // where, filter, any, all, reject, find, each and map - recognized by the
+    // external scanner at the start of a command, so they are not keywords
+    _filter_command: $ => alias($._filter_name, $.identifier),
+
+    // Row condition with implicit $it fields: where size > 10mb and name =~ "rs$"
+    predicate: $ => $._predicate_expression,
+
+    _predicate_expression: $ => choice(
+      alias($._predicate_binary_expression, $.binary_expression),
+      alias($._predicate_unary_expression, $.unary_expression),
+      $.implicit_field,
+      $.primary_expression,
+    ),
+
+    _predicate_binary_expression: $ => choice(
+      prec.left(PREC.OR, seq($._predicate_expression, choice('or', '||'), $._predicate_expression)),
+      prec.left(PREC.AND, seq($._predicate_expression, choice('and', '&&'), $._predicate_expression)),
+      prec.left(PREC.COMPARE, seq($._predicate_expression, choice('==', '!=', '<', '>', '<=', '>=', '=~', '!~'), $._predicate_expression)),
+      prec.left(PREC.ADD, seq($._predicate_expression, choice('+', '-', '++'), $._predicate_expression)),
+      prec.left(PREC.MULT, seq($._predicate_expression, choice('*', '/', '%'), $._predicate_expression)),
+    ),
+
+    _predicate_unary_expression: $ => choice(
+      prec(PREC.UNARY, seq(choice('not', '!'), $._predicate_expression)),
+      prec(PREC.UNARY, seq('-', $.primary_expression)),
+    ),
+
+    // Bare field of the current row: size, meta.owner (same as $it.size)
+    implicit_field: $ => seq(
+      $.identifier,
+      repeat(seq('.', $.identifier)),
+    ),
+
+    // Environment prefix: FOO=bar cmd, LANG="C" sort
+    env_prefix: $ => seq(
+      $.identifier,
+      token.immediate('='),
+      choice(
+        $.string,
+        $.variable,
+        alias(token.immediate(/[^\s"'$;|&<>()]+/), $.path_argument),
+      ),
+    ),
+
+    // Redirections: > out.txt, >> log, 2> err, &> all.log, < in.txt, 2>&1
+    // Dynamic precedence keeps cat < in.txt > out.txt from reading as a comparison
+    redirection: $ => prec(PREC.REDIRECT, prec.dynamic(1, choice(
+      seq(
+        choice('>', '>>', '2>', '2>>', '&>', '&>>', '<'),
+        choice($.path_argument, alias($._file_name, $.path_argument), $.string, $.variable),
+      ),
+      seq(choice('>&', '2>&'), alias($.integer, $.file_descriptor)),
     ))),
 
-    // Command names - built-in commands get special highlighting
+    // Bare redirection target without a slash: out.txt, log
+    _file_name: $ => /[a-zA-Z0-9_.~+-]+/,
+
+    // Background job: long-task &
+    background: $ => '&',
+
+    // Command names are plain identifiers; built-ins are listed in builtins.json
+    // and highlighted by category from there
     command_name: $ => choice(
-      $.builtin_command,
       $.method_call,
       $.identifier,
     ),
@@ -687,188 +1263,16 @@ module.exports = grammar({
       $.identifier,
     ),
 
-    // All built-in commands - synced with ApXript v0.3.54
-    builtin_command: $ => choice(
-      // I/O Commands
-      'echo', 'print', 'pwd', 'cd', 'cat', 'read', 'input', 'run',
-      // File Operations
-      'touch', 'cp', 'mv', 'rm', 'ls', 'll', 'mkdir', 'ln', 'symlink',
-      'chmod', 'chown', 'chgrp', 'umask', 'home', 'rename',  // v0.3.53
-      'exists', 'file-info', 'file-size', 'file-type', 'file-test',
-      'write', 'append-file', 'read-bytes', 'write-bytes',
-      'is-file', 'is-dir', 'is-symlink', 'glob', 'walk', 'tree',
-      'basename', 'dirname', 'realpath', 'readlink',
-      // List Operations
-      'count', 'length', 'len', 'first', 'last', 'take', 'skip', 'get', 'head', 'tail',
-      'reverse', 'append', 'prepend', 'flatten', 'uniq', 'unique', 'sum', 'avg',
-      'min', 'max', 'range', 'enumerate', 'compact', 'zip', 'zip-record', 'zip-lists',
-      'chunks', 'window', 'pair', 'insert-at', 'remove-at', 'has',
-      'left', 'right',  // v0.3.52: take/drop from left/right of list
-      // Pipeline Filters
-      'where', 'each', 'select', 'sort', 'sort-by', 'group-by',
-      'any', 'all', 'none', 'filter', 'map', 'find', 'reject',
-      'mapfile', 'tee', 'cut',
-      // String Operations
-      'upper', 'lower', 'trim', 'split', 'join', 'replace', 'lines',
-      'contains', 'starts-with', 'ends-with', 'empty',
-      'chars', 'char-at', 'slice', 'index-of',
-      'pad-left', 'pad-right', 'str-pad-left', 'str-pad-right',
-      'repeat', 'capitalize', 'title-case',
-      'str', 'str-distance', 'byte-len', 'bytes', 'bytes-at', 'bytes-slice',
-      'bytes-find', 'bytes-replace', 'bytes-concat', 'brace-expand',
-      'wc', 'tr', 'diff',
-      // Math Commands
-      'abs', 'round', 'ceil', 'floor', 'pow', 'sqrt',
-      'sin', 'cos', 'tan', 'log', 'exp',
-      'clamp', 'lerp', 'distance', 'angle', 'deg-to-rad', 'rad-to-deg',
-      // Bitwise Operations
-      'band', 'bor', 'bxor', 'bnot', 'shl', 'shr', 'bshl', 'bshr', 'brol', 'bror',
-      // Colors & Formatting
-      'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'bold', 'dim', 'underline',
-      'italic', 'blink', 'strike', 'normal-mode', 'reverse-video',
-      'bg-black', 'bg-blue', 'bg-cyan', 'bg-green', 'bg-magenta',
-      'bg-red', 'bg-rgb', 'bg-white', 'bg-yellow',
-      'rgb', 'color', 'hex', 'ansi-test',
-      // Data Formats
-      'parse-json', 'from-json', 'to-json',
-      'parse-yaml', 'to-yaml',
-      'parse-toml', 'to-toml',
-      'parse-csv', 'to-csv',
-      'from-html', 'to-html', 'to-md',
-      'from-ini', 'parse-ini', 'to-ini',
-      'from-msgpack', 'to-msgpack',
-      'from-ssv', 'from-table', 'to-table',
-      'table', 'table-columns', 'table-rows', 'table-print',
-      // Date/Time
-      'now', 'now-ms', 'timestamp', 'date', 'parse-date', 'format-date',
-      'date-add', 'date-diff', 'date-parse', 'seq-date',
-      'from-timestamp', 'to-timestamp', 'to-timezone', 'timezones', 'cal',
-      'duration-ms', 'duration-ns', 'duration-secs', 'to-duration', 'elapsed',
-      // Filesize
-      'filesize-bytes', 'filesize-kb', 'filesize-mb', 'to-filesize',
-      // Git Commands
-      'git-status', 'git-log', 'git-branch', 'git-diff',
-      'git-add', 'git-commit', 'git-push', 'git-pull',
-      // Crypto & Hashing
-      'hash-file', 'hash-id',
-      'caesar', 'xor', 'rot13',
-      'aes-encrypt', 'aes-decrypt', 'jwt-decode',
-      'password-gen', 'entropy', 'random-bytes', 'uuid',
-      // Encoding
-      'hex-encode', 'hex-decode', 'hex-dump',
-      'url-encode', 'url-decode', 'url-parse', 'url-join',
-      // Network Commands
-      'dns-lookup', 'ptr-lookup', 'whois', 'port-scan',
-      'ip-addr', 'ping', 'netstat', 'ip-route', 'ip-link', 'traceroute', 'arp',
-      'headers', 'recon', 'robots',
-      // HTTP Commands
-      'http-get', 'http-post', 'http-put', 'http-delete', 'http-patch',
-      'http-head', 'http-options', 'http-request', 'http-serve',
-      'download', 'fetch', 'serve',
-      // WiFi Commands
-      'wifi-scan', 'wifi-status', 'wifi-connect', 'wifi-disconnect',
-      'wifi-saved', 'wifi-forget',
-      // Bluetooth Commands
-      'bt-status', 'bt-devices', 'bt-scan', 'bt-connect', 'bt-disconnect',
-      'bt-pair', 'bt-power', 'bt-remove',
-      // Firewall Commands
-      'firewall-status', 'firewall-rules', 'firewall-allow', 'firewall-deny',
-      // Binary Analysis
-      'strings', 'binary-info', 'parse-elf', 'parse-pe', 'symbols', 'disassemble',
-      'analyze', 'detect-encoding', 'decode-auto',
-      // WebSocket
-      'ws-connect', 'ws-echo',
-      // Database - SQLite
-      'sqlite-create', 'sqlite-exec', 'sqlite-query', 'sqlite-tables', 'sqlite-schema',
-      // Storage Commands
-      'stor-create', 'stor-insert', 'stor-get', 'stor-delete', 'stor-list', 'stor-clear',
-      // Archive
-      'zip', 'unzip',
-      // Notifications
-      'notify', 'notify-urgent', 'notify-progress', 'alert',
-      // Audio
-      'audio-play', 'audio-beep', 'audio-volume', 'beep',
-      // QR Code
-      'qr-encode', 'qr-save',
-      // Email
-      'email-validate', 'email-send',
-      // SSH/SCP
-      'ssh-exec', 'scp-upload',
-      // PDF
-      'pdf-create', 'pdf-text',
-      // Markdown
-      'md-to-html', 'md-parse', 'md-strip',
-      // Screenshots & Display
-      'monitors', 'screenshot', 'screenshot-region', 'screenshot-window', 'windows',
-      'screen-size',
-      // System Monitoring
-      'sys-info', 'mem-info', 'cpu-info', 'disk-info', 'processes', 'loadavg', 'uptime',
-      'launch', 'hostname', 'os', 'which', 'env', 'set-env', 'unsetenv',
-      'spawn', 'spawn-process', 'kill-process', 'process-list',  // spawn added
-      'term', 'term-size',
-      // Cursor & Terminal
-      'cursor-hide', 'cursor-show', 'cursor-move', 'raw-mode',
-      // Canvas/Image (WASM)
-      'canvas-circle', 'canvas-clear', 'canvas-fill', 'canvas-line',
-      'canvas-rect', 'canvas-resize', 'canvas-size', 'canvas-text',
-      'canvas-image', 'canvas-sprite', 'canvas-save', 'canvas-restore',
-      'canvas-rotate', 'canvas-scale', 'canvas-translate', 'canvas-alpha',
-      'canvas-mouse',
-      // Collision Detection (WASM)
-      'collide-rect', 'collide-point', 'collide-circle',
-      // Regex Commands
-      'matches', 'match-regex', 'replace-regex', 'split-regex', 'capture-groups', 'grep',
-      // Type Conversion
-      'to-int', 'to-float', 'to-string', 'to-bool',
-      // Type Predicates
-      'is-int', 'is-float', 'is-number', 'is-string', 'is-bool', 'is-list',
-      'is-record', 'is-null', 'is-closure', 'is-path', 'is-tuple', 'is-set',
-      'is-enum', 'is-task', 'is-duration', 'is-filesize', 'is-empty',
-      'is-table', 'is-terminal', 'is-defined',
-      // Set Operations
-      'set-add', 'set-contains', 'set-diff', 'set-intersect',
-      'set-remove', 'set-to-list', 'set-union',
-      // Tuple Operations (tuple literal handled by tuple rule)
-      'tuple-get', 'tuple-to-list',
-      // Functional Commands
-      'transpose',
-      // Utility Commands
-      'help', 'version', 'type', 'typeof', 'sleep', 'random', 'clear',
-      'aliases', 'assert', 'debug', 'describe', 'inspect',
-      'seq', 'seq-char', 'keys', 'values',
-      'watch', 'confirm', 'choose', 'exec',
-      'validate', 'getopts', 'sudo',
-      'btw', 'progress', 'prompt', 'project', 'explore', 'theme',
-      // Clipboard & Browser
-      'clipboard-read', 'clipboard-write', 'browser-open', 'browser-confirm',
-      // Panel Control (APEX GUI)
-      'open', 'close', 'toggle', 'focus', 'hsplit', 'vsplit', 'edit', 'panels',
-      // Timer/Async Commands
-      'after', 'every', 'timeout', 'elapsed', 'timeit',
-      // Session/Local Storage (WASM)
-      'session-get', 'session-set', 'local-get', 'local-set', 'local-remove',
-      // Location/Navigation (WASM)
-      'location', 'location-hash', 'location-host', 'location-path', 'location-search',
-      'navigate', 'reload', 'history-back', 'history-forward', 'history-search',
-      // DOM Manipulation (WASM)
-      'dom-get', 'dom-set', 'dom-query', 'dom-create', 'dom-remove',
-      'dom-attr', 'dom-style', 'dom-html', 'dom-class-add', 'dom-class-remove',
-      // Input/Keyboard (WASM)
-      'input-value', 'input-set', 'input-focus', 'input-checked', 'input-listen',
-      'key-wait', 'key-down', 'key-pressed', 'key-available', 'read-key', 'read-char',
-      // Mouse (WASM)
-      'mouse-pos', 'mouse-x', 'mouse-y', 'mouse-down',
-      // Scroll (WASM)
-      'scroll-to', 'scroll-by',
-      // Console (WASM)
-      'console-log', 'error', 'printf',
-      // Note: 'set' literal handled by set rule, 'tuple' by tuple rule
-    ),
-
     // Arguments - includes bare identifiers for commands like "sort-by name"
     argument: $ => choice(
+      $._plain_argument,
+      alias($._dotted_name, $.path_argument),
+    ),
+
+    _plain_argument: $ => choice(
       $.flag_with_value,
       $.flag,
+      $.spread_element,
       $.primary_expression,
       $.path_argument,
       $.identifier,
@@ -882,6 +1286,10 @@ module.exports = grammar({
       /[a-zA-Z0-9_.-]+\/[a-zA-Z0-9_.\/-]*/,  // relative path: dir/subdir
     )),
 
+    // Bare dotted name: main.py, data.json. Lexed whole, so in argument
+    // position it is a file name rather than a method call waiting for (
+    _dotted_name: $ => /[a-zA-Z_][a-zA-Z0-9_-]*\.[a-zA-Z0-9_.-]*/,
+
     // Flag with space-separated value: --limit 5, --file "path"
     flag_with_value: $ => prec.right(2, seq(
       $.long_flag,
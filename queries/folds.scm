@@ -0,0 +1,34 @@
+; ApX Tree-sitter fold queries for Neovim
+
+; Definitions
+[
+  (function_definition)
+  (macro_definition)
+  (test_definition)
+  (object_definition)
+  (object_method)
+  (enum_definition)
+] @fold
+
+; Control flow and blocks
+[
+  (if_statement)
+  (match_statement)
+  (for_statement)
+  (while_statement)
+  (loop_statement)
+  (try_statement)
+  (parallel_block)
+  (block)
+  (closure)
+] @fold
+
+; Literals and comments spanning several lines
+[
+  (record)
+  (list)
+  (import_group)
+  (triple_string)
+  (heredoc_body)
+  (block_comment)
+] @fold
@@ -11,6 +11,14 @@
 (triple_string) @string
 (raw_string) @string
 (backtick_string) @string
+(heredoc) @string
+(heredoc_body) @string
+(escape_sequence) @string.escape
+
+[
+  (heredoc_start)
+  (heredoc_end)
+] @label
 
 ; Numbers
 (integer) @number
@@ -19,6 +27,12 @@
 (binary_number) @number
 (octal_number) @number
 
+; Unit literals: 5s, 10mb, 2026-10-19
+(duration_literal) @number
+(filesize_literal) @number
+(unit) @type.builtin
+(date_literal) @number
+
 ; Booleans and null
 (boolean) @boolean
 (null) @constant.builtin
@@ -28,14 +42,43 @@
 (env_variable) @variable.builtin
 (special_variable) @variable.builtin
 
-; Field access: $var.field
+; Field access: $var.field, $x?.name, $list.0
+(field_access
+  (identifier) @property)
+
 (field_access
+  (integer) @property)
+
+(optional_field_access
+  (identifier) @property)
+
+(optional_field_access
+  (integer) @property)
+
+(implicit_field
   (identifier) @property)
 
 ; Method calls: ai.ask
 (method_call
+  (identifier) @module
+  (identifier) @function.method.call)
+
+; Function calls: add(1, 2), $obj.method(x)
+(call_expression
   (identifier) @function.call)
 
+(call_expression
+  (primary_expression
+    [
+      (field_access
+        (identifier) @function.method.call .)
+      (optional_field_access
+        (identifier) @function.method.call .)
+    ]))
+
+(named_argument
+  (identifier) @variable.parameter)
+
 ; Keywords - Control flow (using actual grammar keywords)
 "if" @keyword.control
 "else" @keyword.control
@@ -64,6 +107,17 @@
 ; Keywords - Error handling
 "try" @keyword.exception
 "catch" @keyword.exception
+"finally" @keyword.exception
+"throw" @keyword.exception
+"raise" @keyword.exception
+
+(try_operator
+  "?" @keyword.exception)
+
+; Keywords - Async
+"await" @keyword.coroutine
+"spawn" @keyword.coroutine
+"parallel" @keyword.coroutine
 
 ; Keywords - Modules
 "use" @keyword.import
@@ -71,6 +125,9 @@
 "import" @keyword.import
 "as" @keyword.import
 
+; Visibility: pub fn, export enum
+(visibility_modifier) @keyword.modifier
+
 ; Keywords - Testing
 "test" @keyword
 
@@ -97,9 +154,19 @@
   "!"
   "="
   "|"
+  "?."
+  ">>"
+  "2>"
+  "2>>"
+  "&>"
+  "&>>"
+  ">&"
+  "2>&"
   ".."
   "..="
+  "..."
   "=>"
+  "->"
 ] @operator
 
 ; Punctuation
@@ -114,10 +181,19 @@
 
 [
   ","
+  "."
   ":"
   "::"
 ] @punctuation.delimiter
 
+; String interpolation: "Hello $name", "${expr}"
+(interpolation
+  "${" @punctuation.special
+  "}" @punctuation.special)
+
+(interpolation
+  (variable) @variable)
+
 ; Function definition - identifier after 'fn'
 (function_definition
   (identifier) @function.definition)
@@ -138,10 +214,46 @@
 (object_definition
   (identifier) @type.definition)
 
+; Object fields and methods
+(object_field
+  (identifier) @property)
+
+(object_method
+  (identifier) @function.method)
+
+(self) @variable.builtin
+
+; Object construction: Dog { name: "Rex" }
+(object_construction
+  (type_identifier) @constructor)
+
+(object_construction
+  (record
+    (record_field
+      (identifier) @property)))
+
 ; Enum definition
 (enum_definition
   (identifier) @type.definition)
 
+(enum_variant
+  (identifier) @constant)
+
+(enum_record_payload
+  (object_field
+    (identifier) @property))
+
+; Variant paths: Status::active, Result::Ok($v)
+(variant_path
+  (identifier) @constant)
+
+; Type hints
+(type_name) @type.builtin
+(type_identifier) @type
+
+(function_type
+  "closure" @type.builtin)
+
 ; Function parameters
 (parameter
   (identifier) @variable.parameter)
@@ -150,21 +262,221 @@
 (record_field
   (identifier) @property)
 
+; Parallel branch labels
+(parallel_branch
+  (identifier) @label)
+
 ; Import
+(module_path
+  (identifier) @module)
+
+(relative_path) @string.special.path
+
 (import_item
   (identifier) @namespace)
 
+; Shell-style redirections, background jobs and env prefixes
+(redirection
+  (path_argument) @string.special.path)
+
+(file_descriptor) @number
+
+(background) @operator
+
+(env_prefix
+  (identifier) @variable.builtin)
+
 ; Flags
 (long_flag) @attribute
 (short_flag) @attribute
 
 ; Built-in commands
-(builtin_command) @function.builtin
-
-; User-defined command calls
-(command_expression
-  (command_name
-    (identifier) @function.call))
+; BEGIN built-in commands (generated from builtins.json - do not edit)
+
+; Terminal input and output
+((command_name
+  (identifier) @function.builtin.io)
+ (#any-of? @function.builtin.io
+  "echo" "print" "pwd" "cd" "cat" "read" "input" "run"))
+
+; Files, directories and archives
+((command_name
+  (identifier) @function.builtin.file)
+ (#any-of? @function.builtin.file
+  "touch" "cp" "mv" "rm" "ls" "ll" "mkdir" "ln" "symlink" "chmod" "chown"
+  "chgrp" "umask" "home" "rename" "exists" "file-info" "file-size" "file-type"
+  "file-test" "write" "append-file" "read-bytes" "write-bytes" "is-file"
+  "is-dir" "is-symlink" "glob" "walk" "tree" "basename" "dirname" "realpath"
+  "readlink" "zip" "unzip"))
+
+; Lists, sets and tuples
+((command_name
+  (identifier) @function.builtin.list)
+ (#any-of? @function.builtin.list
+  "count" "length" "len" "first" "last" "take" "skip" "get" "head" "tail"
+  "reverse" "append" "prepend" "flatten" "uniq" "unique" "sum" "avg" "min" "max"
+  "range" "enumerate" "compact" "zip-record" "zip-lists" "chunks" "window"
+  "pair" "insert-at" "remove-at" "has" "left" "right" "set-add" "set-contains"
+  "set-diff" "set-intersect" "set-remove" "set-to-list" "set-union" "tuple-get"
+  "tuple-to-list" "transpose"))
+
+; Pipeline filters
+((command_name
+  (identifier) @function.builtin.filter)
+ (#any-of? @function.builtin.filter
+  "where" "each" "select" "sort" "sort-by" "group-by" "any" "all" "none"
+  "filter" "map" "find" "reject" "mapfile" "tee" "cut"))
+
+; Strings and regular expressions
+((command_name
+  (identifier) @function.builtin.string)
+ (#any-of? @function.builtin.string
+  "upper" "lower" "trim" "split" "join" "replace" "lines" "contains"
+  "starts-with" "ends-with" "empty" "chars" "char-at" "slice" "index-of"
+  "pad-left" "pad-right" "str-pad-left" "str-pad-right" "repeat" "capitalize"
+  "title-case" "str" "str-distance" "byte-len" "bytes" "bytes-at" "bytes-slice"
+  "bytes-find" "bytes-replace" "bytes-concat" "brace-expand" "wc" "tr" "diff"
+  "matches" "match-regex" "replace-regex" "split-regex" "capture-groups" "grep"))
+
+; Math and bitwise operations
+((command_name
+  (identifier) @function.builtin.math)
+ (#any-of? @function.builtin.math
+  "abs" "round" "ceil" "floor" "pow" "sqrt" "sin" "cos" "tan" "log" "exp"
+  "clamp" "lerp" "distance" "angle" "deg-to-rad" "rad-to-deg" "band" "bor"
+  "bxor" "bnot" "shl" "shr" "bshl" "bshr" "brol" "bror"))
+
+; Colors and text styles
+((command_name
+  (identifier) @function.builtin.color)
+ (#any-of? @function.builtin.color
+  "red" "green" "yellow" "blue" "magenta" "cyan" "bold" "dim" "underline"
+  "italic" "blink" "strike" "normal-mode" "reverse-video" "bg-black" "bg-blue"
+  "bg-cyan" "bg-green" "bg-magenta" "bg-red" "bg-rgb" "bg-white" "bg-yellow"
+  "rgb" "color" "hex" "ansi-test"))
+
+; Data formats and documents
+((command_name
+  (identifier) @function.builtin.format)
+ (#any-of? @function.builtin.format
+  "parse-json" "from-json" "to-json" "parse-yaml" "to-yaml" "parse-toml"
+  "to-toml" "parse-csv" "to-csv" "from-html" "to-html" "to-md" "from-ini"
+  "parse-ini" "to-ini" "from-msgpack" "to-msgpack" "from-ssv" "from-table"
+  "to-table" "table" "table-columns" "table-rows" "table-print" "md-to-html"
+  "md-parse" "md-strip" "pdf-create" "pdf-text" "qr-encode" "qr-save"))
+
+; Dates, durations and timers
+((command_name
+  (identifier) @function.builtin.datetime)
+ (#any-of? @function.builtin.datetime
+  "now" "now-ms" "timestamp" "date" "parse-date" "format-date" "date-add"
+  "date-diff" "date-parse" "seq-date" "from-timestamp" "to-timestamp"
+  "to-timezone" "timezones" "cal" "duration-ms" "duration-ns" "duration-secs"
+  "to-duration" "elapsed" "after" "every" "timeout" "timeit"))
+
+; Type conversions and predicates
+((command_name
+  (identifier) @function.builtin.type)
+ (#any-of? @function.builtin.type
+  "to-int" "to-float" "to-string" "to-bool" "is-int" "is-float" "is-number"
+  "is-string" "is-bool" "is-list" "is-record" "is-null" "is-closure" "is-path"
+  "is-tuple" "is-set" "is-enum" "is-task" "is-duration" "is-filesize" "is-empty"
+  "is-table" "is-terminal" "is-defined" "filesize-bytes" "filesize-kb"
+  "filesize-mb" "to-filesize"))
+
+; Git
+((command_name
+  (identifier) @function.builtin.git)
+ (#any-of? @function.builtin.git
+  "git-status" "git-log" "git-branch" "git-diff" "git-add" "git-commit"
+  "git-push" "git-pull"))
+
+; Hashing, encryption and encodings
+((command_name
+  (identifier) @function.builtin.crypto)
+ (#any-of? @function.builtin.crypto
+  "hash-file" "hash-id" "caesar" "xor" "rot13" "aes-encrypt" "aes-decrypt"
+  "jwt-decode" "password-gen" "entropy" "random-bytes" "uuid" "hex-encode"
+  "hex-decode" "hex-dump" "url-encode" "url-decode" "url-parse" "url-join"))
+
+; Network, HTTP and remote access
+((command_name
+  (identifier) @function.builtin.network)
+ (#any-of? @function.builtin.network
+  "dns-lookup" "ptr-lookup" "whois" "port-scan" "ip-addr" "ping" "netstat"
+  "ip-route" "ip-link" "traceroute" "arp" "headers" "recon" "robots" "http-get"
+  "http-post" "http-put" "http-delete" "http-patch" "http-head" "http-options"
+  "http-request" "http-serve" "download" "fetch" "serve" "ws-connect" "ws-echo"
+  "wifi-scan" "wifi-status" "wifi-connect" "wifi-disconnect" "wifi-saved"
+  "wifi-forget" "bt-status" "bt-devices" "bt-scan" "bt-connect" "bt-disconnect"
+  "bt-pair" "bt-power" "bt-remove" "firewall-status" "firewall-rules"
+  "firewall-allow" "firewall-deny" "email-validate" "email-send" "ssh-exec"
+  "scp-upload"))
+
+; Binary analysis
+((command_name
+  (identifier) @function.builtin.binary)
+ (#any-of? @function.builtin.binary
+  "strings" "binary-info" "parse-elf" "parse-pe" "symbols" "disassemble"
+  "analyze" "detect-encoding" "decode-auto"))
+
+; SQLite and key-value storage
+((command_name
+  (identifier) @function.builtin.database)
+ (#any-of? @function.builtin.database
+  "sqlite-create" "sqlite-exec" "sqlite-query" "sqlite-tables" "sqlite-schema"
+  "stor-create" "stor-insert" "stor-get" "stor-delete" "stor-list" "stor-clear"))
+
+; System, terminal and desktop
+((command_name
+  (identifier) @function.builtin.system)
+ (#any-of? @function.builtin.system
+  "sys-info" "mem-info" "cpu-info" "disk-info" "processes" "loadavg" "uptime"
+  "launch" "hostname" "os" "which" "env" "set-env" "unsetenv" "spawn-process"
+  "kill-process" "process-list" "term" "term-size" "cursor-hide" "cursor-show"
+  "cursor-move" "raw-mode" "notify" "notify-urgent" "notify-progress" "alert"
+  "audio-play" "audio-beep" "audio-volume" "beep" "monitors" "screenshot"
+  "screenshot-region" "screenshot-window" "windows" "screen-size"
+  "clipboard-read" "clipboard-write" "browser-open" "browser-confirm"))
+
+; APEX GUI panels
+((command_name
+  (identifier) @function.builtin.gui)
+ (#any-of? @function.builtin.gui
+  "open" "close" "toggle" "focus" "hsplit" "vsplit" "edit" "panels"))
+
+; Browser APIs (WASM builds)
+((command_name
+  (identifier) @function.builtin.wasm)
+ (#any-of? @function.builtin.wasm
+  "canvas-circle" "canvas-clear" "canvas-fill" "canvas-line" "canvas-rect"
+  "canvas-resize" "canvas-size" "canvas-text" "canvas-image" "canvas-sprite"
+  "canvas-save" "canvas-restore" "canvas-rotate" "canvas-scale"
+  "canvas-translate" "canvas-alpha" "canvas-mouse" "collide-rect"
+  "collide-point" "collide-circle" "session-get" "session-set" "local-get"
+  "local-set" "local-remove" "location" "location-hash" "location-host"
+  "location-path" "location-search" "navigate" "reload" "history-back"
+  "history-forward" "history-search" "dom-get" "dom-set" "dom-query"
+  "dom-create" "dom-remove" "dom-attr" "dom-style" "dom-html" "dom-class-add"
+  "dom-class-remove" "input-value" "input-set" "input-focus" "input-checked"
+  "input-listen" "key-wait" "key-down" "key-pressed" "key-available" "read-key"
+  "read-char" "mouse-pos" "mouse-x" "mouse-y" "mouse-down" "scroll-to"
+  "scroll-by" "console-log" "error" "printf"))
+
+; Utilities
+((command_name
+  (identifier) @function.builtin.utility)
+ (#any-of? @function.builtin.utility
+  "help" "version" "type" "typeof" "sleep" "random" "clear" "aliases" "assert"
+  "debug" "describe" "inspect" "seq" "seq-char" "keys" "values" "watch"
+  "confirm" "choose" "exec" "validate" "getopts" "sudo" "btw" "progress"
+  "prompt" "project" "explore" "theme"))
+
+; END built-in commands
+
+; Command calls - after the built-ins so those match first
+(command_name
+  (identifier) @function.call)
 
 ; Match patterns
 (record_pattern
@@ -178,6 +490,25 @@
   (list_pattern_element
     (identifier) @variable))
 
+(decorator
+  "@" @attribute
+  (identifier) @attribute)
+
+(ternary_expression
+  ["?" ":"] @operator)
+
+(binding_pattern
+  "@" @operator)
+
+(alternative_pattern
+  "|" @operator)
+
+(regex_pattern
+  "/" @punctuation.delimiter)
+
+(regex) @string.regexp
+(regex_flags) @character.special
+
 ; Wildcard pattern
 "_" @constant.builtin
 
@@ -0,0 +1,41 @@
+; ApX Tree-sitter indent queries for Neovim
+
+[
+  (block)
+  (closure)
+  (record)
+  (list)
+  (tuple)
+  (set)
+  (parameter_list)
+  (argument_list)
+  (match_statement)
+  (parallel_block)
+  (object_definition)
+  (enum_definition)
+  (enum_record_payload)
+  (import_group)
+] @indent.begin
+
+; Continuation lines of a multi-line pipeline: ls
+;   | where size > 1mb
+(pipeline) @indent.begin
+
+(command_expression
+  (pipe_continuation)) @indent.begin
+
+; Closing delimiters line up with the line that opened them
+[
+  "}"
+  "]"
+  ")"
+] @indent.branch @indent.end
+
+; Leave string and comment bodies as written
+[
+  (triple_string)
+  (heredoc_body)
+  (backtick_string)
+] @indent.ignore
+
+(block_comment) @indent.auto
@@ -0,0 +1,342 @@
+; ApX Tree-sitter injection queries for Neovim
+
+((comment) @injection.content
+  (#set! injection.language "comment"))
+
+((regex) @injection.content
+  (#set! injection.language "regex"))
+
+; String arguments of commands that take another language:
+;   parse-json '{"a": 1}', sqlite-query $db "SELECT ...", exec <<EOF ... EOF
+; and strings piped into a parser: '{"a": 1}' | parse-json
+; Each string is injected whole, without its quotes, so every string is its
+; own document; interpolations stay in the text. A heredoc's text is the
+; heredoc_body ending the statement that opens it.
+
+; JSON
+(
+  [
+    (_
+      (command_name
+        (identifier) @_command)
+      (argument
+        (primary_expression
+          (string
+            [
+              (double_string)
+              (single_string)
+            ] @injection.content))))
+    (pipeline
+      (primary_expression
+        (string
+          [
+            (double_string)
+            (single_string)
+          ] @injection.content))
+      .
+      (command_expression
+        (command_name
+          (identifier) @_command)))
+  ]
+  (#any-of? @_command "parse-json" "from-json")
+  (#offset! @injection.content 0 1 0 -1)
+  (#set! injection.language "json")
+  (#set! injection.include-children))
+
+(
+  [
+    (_
+      (command_name
+        (identifier) @_command)
+      (argument
+        (primary_expression
+          (string
+            (triple_string) @injection.content))))
+    (pipeline
+      (primary_expression
+        (string
+          (triple_string) @injection.content))
+      .
+      (command_expression
+        (command_name
+          (identifier) @_command)))
+  ]
+  (#any-of? @_command "parse-json" "from-json")
+  (#offset! @injection.content 0 3 0 -3)
+  (#set! injection.language "json")
+  (#set! injection.include-children))
+
+(
+  [
+    (command_expression
+      (command_name
+        (identifier) @_command)
+      (argument
+        (primary_expression
+          (string
+            (heredoc))))
+      (heredoc_body) @injection.content)
+    (_
+      (command_expression
+        (command_name
+          (identifier) @_command)
+        (argument
+          (primary_expression
+            (string
+              (heredoc)))))
+      (heredoc_body) @injection.content)
+    (pipeline
+      (primary_expression
+        (string
+          (heredoc)))
+      .
+      (command_expression
+        (command_name
+          (identifier) @_command))
+      (heredoc_body) @injection.content)
+  ]
+  (#any-of? @_command "parse-json" "from-json")
+  (#set! injection.language "json")
+  (#set! injection.include-children))
+
+; YAML
+(
+  [
+    (_
+      (command_name
+        (identifier) @_command)
+      (argument
+        (primary_expression
+          (string
+            [
+              (double_string)
+              (single_string)
+            ] @injection.content))))
+    (pipeline
+      (primary_expression
+        (string
+          [
+            (double_string)
+            (single_string)
+          ] @injection.content))
+      .
+      (command_expression
+        (command_name
+          (identifier) @_command)))
+  ]
+  (#any-of? @_command "parse-yaml")
+  (#offset! @injection.content 0 1 0 -1)
+  (#set! injection.language "yaml")
+  (#set! injection.include-children))
+
+(
+  [
+    (_
+      (command_name
+        (identifier) @_command)
+      (argument
+        (primary_expression
+          (string
+            (triple_string) @injection.content))))
+    (pipeline
+      (primary_expression
+        (string
+          (triple_string) @injection.content))
+      .
+      (command_expression
+        (command_name
+          (identifier) @_command)))
+  ]
+  (#any-of? @_command "parse-yaml")
+  (#offset! @injection.content 0 3 0 -3)
+  (#set! injection.language "yaml")
+  (#set! injection.include-children))
+
+(
+  [
+    (command_expression
+      (command_name
+        (identifier) @_command)
+      (argument
+        (primary_expression
+          (string
+            (heredoc))))
+      (heredoc_body) @injection.content)
+    (_
+      (command_expression
+        (command_name
+          (identifier) @_command)
+        (argument
+          (primary_expression
+            (string
+              (heredoc)))))
+      (heredoc_body) @injection.content)
+    (pipeline
+      (primary_expression
+        (string
+          (heredoc)))
+      .
+      (command_expression
+        (command_name
+          (identifier) @_command))
+      (heredoc_body) @injection.content)
+  ]
+  (#any-of? @_command "parse-yaml")
+  (#set! injection.language "yaml")
+  (#set! injection.include-children))
+
+; SQL
+(_
+  (command_name
+    (identifier) @_command)
+  (argument
+    (primary_expression
+      (string
+        [
+          (double_string)
+          (single_string)
+        ] @injection.content)))
+  (#any-of? @_command "sqlite-query" "sqlite-exec")
+  (#offset! @injection.content 0 1 0 -1)
+  (#set! injection.language "sql")
+  (#set! injection.include-children))
+
+(_
+  (command_name
+    (identifier) @_command)
+  (argument
+    (primary_expression
+      (string
+        (triple_string) @injection.content)))
+  (#any-of? @_command "sqlite-query" "sqlite-exec")
+  (#offset! @injection.content 0 3 0 -3)
+  (#set! injection.language "sql")
+  (#set! injection.include-children))
+
+(
+  [
+    (command_expression
+      (command_name
+        (identifier) @_command)
+      (argument
+        (primary_expression
+          (string
+            (heredoc))))
+      (heredoc_body) @injection.content)
+    (_
+      (command_expression
+        (command_name
+          (identifier) @_command)
+        (argument
+          (primary_expression
+            (string
+              (heredoc)))))
+      (heredoc_body) @injection.content)
+  ]
+  (#any-of? @_command "sqlite-query" "sqlite-exec")
+  (#set! injection.language "sql")
+  (#set! injection.include-children))
+
+; Regular expressions
+(_
+  (command_name
+    (identifier) @_command)
+  (argument
+    (primary_expression
+      (string
+        [
+          (double_string)
+          (single_string)
+        ] @injection.content)))
+  (#any-of? @_command "match-regex" "replace-regex" "split-regex" "capture-groups")
+  (#offset! @injection.content 0 1 0 -1)
+  (#set! injection.language "regex")
+  (#set! injection.include-children))
+
+(_
+  (command_name
+    (identifier) @_command)
+  (argument
+    (primary_expression
+      (string
+        (triple_string) @injection.content)))
+  (#any-of? @_command "match-regex" "replace-regex" "split-regex" "capture-groups")
+  (#offset! @injection.content 0 3 0 -3)
+  (#set! injection.language "regex")
+  (#set! injection.include-children))
+
+(
+  [
+    (command_expression
+      (command_name
+        (identifier) @_command)
+      (argument
+        (primary_expression
+          (string
+            (heredoc))))
+      (heredoc_body) @injection.content)
+    (_
+      (command_expression
+        (command_name
+          (identifier) @_command)
+        (argument
+          (primary_expression
+            (string
+              (heredoc)))))
+      (heredoc_body) @injection.content)
+  ]
+  (#any-of? @_command "match-regex" "replace-regex" "split-regex" "capture-groups")
+  (#set! injection.language "regex")
+  (#set! injection.include-children))
+
+; Shell commands
+(_
+  (command_name
+    (identifier) @_command)
+  (argument
+    (primary_expression
+      (string
+        [
+          (double_string)
+          (single_string)
+        ] @injection.content)))
+  (#any-of? @_command "exec" "sudo")
+  (#offset! @injection.content 0 1 0 -1)
+  (#set! injection.language "bash")
+  (#set! injection.include-children))
+
+(_
+  (command_name
+    (identifier) @_command)
+  (argument
+    (primary_expression
+      (string
+        (triple_string) @injection.content)))
+  (#any-of? @_command "exec" "sudo")
+  (#offset! @injection.content 0 3 0 -3)
+  (#set! injection.language "bash")
+  (#set! injection.include-children))
+
+(
+  [
+    (command_expression
+      (command_name
+        (identifier) @_command)
+      (argument
+        (primary_expression
+          (string
+            (heredoc))))
+      (heredoc_body) @injection.content)
+    (_
+      (command_expression
+        (command_name
+          (identifier) @_command)
+        (argument
+          (primary_expression
+            (string
+              (heredoc)))))
+      (heredoc_body) @injection.content)
+  ]
+  (#any-of? @_command "exec" "sudo")
+  (#set! injection.language "bash")
+  (#set! injection.include-children))
@@ -3,9 +3,14 @@
 ; Scopes
 (function_definition) @local.scope
 (macro_definition) @local.scope
+(object_method) @local.scope
 (closure) @local.scope
+(lambda) @local.scope
 (for_statement) @local.scope
 (block) @local.scope
+(parallel_block) @local.scope
+(match_arm) @local.scope
+(catch_clause) @local.scope
 
 ; Definitions
 (assignment
@@ -15,7 +20,10 @@
   (variable) @local.definition)
 
 (parameter
-  (identifier) @local.definition)
+  [(identifier) (variable)] @local.definition)
+
+(lambda_parameter
+  (variable) @local.definition)
 
 (function_definition
   (identifier) @local.definition)
@@ -26,8 +34,16 @@
 (alias_definition
   (identifier) @local.definition)
 
+; User types - resolved by (type_identifier) references
+(object_definition
+  (identifier) @local.definition.type)
+
+(enum_definition
+  .
+  (identifier) @local.definition.type)
+
 (for_statement
-  (identifier) @local.definition)
+  [(identifier) (variable)] @local.definition)
 
 (closure_parameters
   (typed_parameter
@@ -37,8 +53,54 @@
   (typed_parameter
     (variable) @local.definition))
 
+; Destructured names in let / for / parameters are picked up by the
+; pattern rules below (pattern_field, list_pattern_element, tuple_pattern)
+
+; Imports: the local name is the alias when one is given (use util::{b as c})
+(import_item
+  (identifier) @local.definition .)
+
+; Caught error: catch $e { }, catch e { }
+(catch_clause
+  [(identifier) (variable)] @local.definition)
+
+; Labelled parallel branches
+(parallel_branch
+  (identifier) @local.definition)
+
+; Match arms - pattern bindings are scoped to their arm
+(match_arm
+  [(identifier) (variable)] @local.definition)
+
+(binding_pattern
+  [(identifier) (variable)] @local.definition)
+
+(pattern_field
+  .
+  (identifier) @local.definition .)
+
+(pattern_field
+  (identifier)
+  .
+  [(identifier) (variable)] @local.definition)
+
+(list_pattern_element
+  [(identifier) (variable)] @local.definition)
+
+(tuple_pattern
+  [(identifier) (variable)] @local.definition)
+
+(variant_pattern
+  [(identifier) (variable)] @local.definition)
+
+(alternative_pattern
+  [(identifier) (variable)] @local.definition)
+
 ; References
 (regular_variable) @local.reference
+(type_identifier) @local.reference
 (command_expression
   (command_name
     (identifier) @local.reference))
+(call_expression
+  (identifier) @local.reference)
@@ -0,0 +1,234 @@
+; ApX Tree-sitter tags queries for symbol navigation
+;
+; `##` line comments directly above a definition become its docs; plain `#`
+; comments in the same run are dropped.
+
+; Definitions
+
+; Decorated: the docs sit above the decorators. Listed first, so this tag wins
+; over the plain one below for the same name
+(
+  (comment (line_comment))* @doc
+  .
+  (decorated_definition
+    [
+      (function_definition
+        "fn"
+        .
+        (identifier) @name) @definition.function
+      (macro_definition
+        "macro"
+        .
+        (identifier) @name) @definition.macro
+      (alias_definition
+        "alias"
+        .
+        (identifier) @name) @definition.function
+      (object_definition
+        "obj"
+        .
+        (identifier) @name) @definition.class
+      (enum_definition
+        "enum"
+        .
+        (identifier) @name) @definition.enum
+      (test_definition
+        (string
+          (double_string
+            (string_content) @name))) @definition.test
+    ]) @_decorated
+  (#strip! @doc "(?m)^## ?|^#([^#].*)?\n?")
+  (#select-adjacent! @doc @_decorated)
+)
+
+(
+  (comment (line_comment))* @doc
+  .
+  (function_definition
+    "fn"
+    .
+    (identifier) @name) @definition.function
+  (#strip! @doc "(?m)^## ?|^#([^#].*)?\n?")
+  (#select-adjacent! @doc @definition.function)
+)
+
+(
+  (comment (line_comment))* @doc
+  .
+  (macro_definition
+    "macro"
+    .
+    (identifier) @name) @definition.macro
+  (#strip! @doc "(?m)^## ?|^#([^#].*)?\n?")
+  (#select-adjacent! @doc @definition.macro)
+)
+
+(
+  (comment (line_comment))* @doc
+  .
+  (alias_definition
+    "alias"
+    .
+    (identifier) @name) @definition.function
+  (#strip! @doc "(?m)^## ?|^#([^#].*)?\n?")
+  (#select-adjacent! @doc @definition.function)
+)
+
+(
+  (comment (line_comment))* @doc
+  .
+  (object_definition
+    "obj"
+    .
+    (identifier) @name) @definition.class
+  (#strip! @doc "(?m)^## ?|^#([^#].*)?\n?")
+  (#select-adjacent! @doc @definition.class)
+)
+
+(
+  (comment (line_comment))* @doc
+  .
+  (object_method
+    "fn"
+    .
+    (identifier) @name) @definition.method
+  (#strip! @doc "(?m)^## ?|^#([^#].*)?\n?")
+  (#select-adjacent! @doc @definition.method)
+)
+
+(
+  (comment (line_comment))* @doc
+  .
+  (enum_definition
+    "enum"
+    .
+    (identifier) @name) @definition.enum
+  (#strip! @doc "(?m)^## ?|^#([^#].*)?\n?")
+  (#select-adjacent! @doc @definition.enum)
+)
+
+(
+  (comment (line_comment))* @doc
+  .
+  (test_definition
+    (string
+      (double_string
+        (string_content) @name))) @definition.test
+  (#strip! @doc "(?m)^## ?|^#([^#].*)?\n?")
+  (#select-adjacent! @doc @definition.test)
+)
+
+; Top-level let/const/set
+(source_file
+  (comment (line_comment))* @doc
+  .
+  (assignment
+    "const"
+    .
+    (identifier) @name) @definition.constant
+  (#strip! @doc "(?m)^## ?|^#([^#].*)?\n?")
+  (#select-adjacent! @doc @definition.constant))
+
+(source_file
+  (comment (line_comment))* @doc
+  .
+  (assignment
+    ["let" "set"]
+    .
+    (identifier) @name) @definition.variable
+  (#strip! @doc "(?m)^## ?|^#([^#].*)?\n?")
+  (#select-adjacent! @doc @definition.variable))
+
+; References
+(import_item
+  .
+  (identifier) @name) @reference.import
+
+(call_expression
+  (identifier) @name) @reference.call
+
+; User commands: every command name that is not a built-in
+; BEGIN built-in commands (generated from builtins.json - do not edit)
+
+((command_name
+  (identifier) @name) @reference.call
+ (#not-any-of? @name
+  "echo" "print" "pwd" "cd" "cat" "read" "input" "run" "touch" "cp" "mv" "rm"
+  "ls" "ll" "mkdir" "ln" "symlink" "chmod" "chown" "chgrp" "umask" "home"
+  "rename" "exists" "file-info" "file-size" "file-type" "file-test" "write"
+  "append-file" "read-bytes" "write-bytes" "is-file" "is-dir" "is-symlink"
+  "glob" "walk" "tree" "basename" "dirname" "realpath" "readlink" "zip" "unzip"
+  "count" "length" "len" "first" "last" "take" "skip" "get" "head" "tail"
+  "reverse" "append" "prepend" "flatten" "uniq" "unique" "sum" "avg" "min" "max"
+  "range" "enumerate" "compact" "zip-record" "zip-lists" "chunks" "window"
+  "pair" "insert-at" "remove-at" "has" "left" "right" "set-add" "set-contains"
+  "set-diff" "set-intersect" "set-remove" "set-to-list" "set-union" "tuple-get"
+  "tuple-to-list" "transpose" "where" "each" "select" "sort" "sort-by"
+  "group-by" "any" "all" "none" "filter" "map" "find" "reject" "mapfile" "tee"
+  "cut" "upper" "lower" "trim" "split" "join" "replace" "lines" "contains"
+  "starts-with" "ends-with" "empty" "chars" "char-at" "slice" "index-of"
+  "pad-left" "pad-right" "str-pad-left" "str-pad-right" "repeat" "capitalize"
+  "title-case" "str" "str-distance" "byte-len" "bytes" "bytes-at" "bytes-slice"
+  "bytes-find" "bytes-replace" "bytes-concat" "brace-expand" "wc" "tr" "diff"
+  "matches" "match-regex" "replace-regex" "split-regex" "capture-groups" "grep"
+  "abs" "round" "ceil" "floor" "pow" "sqrt" "sin" "cos" "tan" "log" "exp"
+  "clamp" "lerp" "distance" "angle" "deg-to-rad" "rad-to-deg" "band" "bor"
+  "bxor" "bnot" "shl" "shr" "bshl" "bshr" "brol" "bror" "red" "green" "yellow"
+  "blue" "magenta" "cyan" "bold" "dim" "underline" "italic" "blink" "strike"
+  "normal-mode" "reverse-video" "bg-black" "bg-blue" "bg-cyan" "bg-green"
+  "bg-magenta" "bg-red" "bg-rgb" "bg-white" "bg-yellow" "rgb" "color" "hex"
+  "ansi-test" "parse-json" "from-json" "to-json" "parse-yaml" "to-yaml"
+  "parse-toml" "to-toml" "parse-csv" "to-csv" "from-html" "to-html" "to-md"
+  "from-ini" "parse-ini" "to-ini" "from-msgpack" "to-msgpack" "from-ssv"
+  "from-table" "to-table" "table" "table-columns" "table-rows" "table-print"
+  "md-to-html" "md-parse" "md-strip" "pdf-create" "pdf-text" "qr-encode"
+  "qr-save" "now" "now-ms" "timestamp" "date" "parse-date" "format-date"
+  "date-add" "date-diff" "date-parse" "seq-date" "from-timestamp" "to-timestamp"
+  "to-timezone" "timezones" "cal" "duration-ms" "duration-ns" "duration-secs"
+  "to-duration" "elapsed" "after" "every" "timeout" "timeit" "to-int" "to-float"
+  "to-string" "to-bool" "is-int" "is-float" "is-number" "is-string" "is-bool"
+  "is-list" "is-record" "is-null" "is-closure" "is-path" "is-tuple" "is-set"
+  "is-enum" "is-task" "is-duration" "is-filesize" "is-empty" "is-table"
+  "is-terminal" "is-defined" "filesize-bytes" "filesize-kb" "filesize-mb"
+  "to-filesize" "git-status" "git-log" "git-branch" "git-diff" "git-add"
+  "git-commit" "git-push" "git-pull" "hash-file" "hash-id" "caesar" "xor"
+  "rot13" "aes-encrypt" "aes-decrypt" "jwt-decode" "password-gen" "entropy"
+  "random-bytes" "uuid" "hex-encode" "hex-decode" "hex-dump" "url-encode"
+  "url-decode" "url-parse" "url-join" "dns-lookup" "ptr-lookup" "whois"
+  "port-scan" "ip-addr" "ping" "netstat" "ip-route" "ip-link" "traceroute" "arp"
+  "headers" "recon" "robots" "http-get" "http-post" "http-put" "http-delete"
+  "http-patch" "http-head" "http-options" "http-request" "http-serve" "download"
+  "fetch" "serve" "ws-connect" "ws-echo" "wifi-scan" "wifi-status"
+  "wifi-connect" "wifi-disconnect" "wifi-saved" "wifi-forget" "bt-status"
+  "bt-devices" "bt-scan" "bt-connect" "bt-disconnect" "bt-pair" "bt-power"
+  "bt-remove" "firewall-status" "firewall-rules" "firewall-allow"
+  "firewall-deny" "email-validate" "email-send" "ssh-exec" "scp-upload"
+  "strings" "binary-info" "parse-elf" "parse-pe" "symbols" "disassemble"
+  "analyze" "detect-encoding" "decode-auto" "sqlite-create" "sqlite-exec"
+  "sqlite-query" "sqlite-tables" "sqlite-schema" "stor-create" "stor-insert"
+  "stor-get" "stor-delete" "stor-list" "stor-clear" "sys-info" "mem-info"
+  "cpu-info" "disk-info" "processes" "loadavg" "uptime" "launch" "hostname" "os"
+  "which" "env" "set-env" "unsetenv" "spawn-process" "kill-process"
+  "process-list" "term" "term-size" "cursor-hide" "cursor-show" "cursor-move"
+  "raw-mode" "notify" "notify-urgent" "notify-progress" "alert" "audio-play"
+  "audio-beep" "audio-volume" "beep" "monitors" "screenshot" "screenshot-region"
+  "screenshot-window" "windows" "screen-size" "clipboard-read" "clipboard-write"
+  "browser-open" "browser-confirm" "open" "close" "toggle" "focus" "hsplit"
+  "vsplit" "edit" "panels" "canvas-circle" "canvas-clear" "canvas-fill"
+  "canvas-line" "canvas-rect" "canvas-resize" "canvas-size" "canvas-text"
+  "canvas-image" "canvas-sprite" "canvas-save" "canvas-restore" "canvas-rotate"
+  "canvas-scale" "canvas-translate" "canvas-alpha" "canvas-mouse" "collide-rect"
+  "collide-point" "collide-circle" "session-get" "session-set" "local-get"
+  "local-set" "local-remove" "location" "location-hash" "location-host"
+  "location-path" "location-search" "navigate" "reload" "history-back"
+  "history-forward" "history-search" "dom-get" "dom-set" "dom-query"
+  "dom-create" "dom-remove" "dom-attr" "dom-style" "dom-html" "dom-class-add"
+  "dom-class-remove" "input-value" "input-set" "input-focus" "input-checked"
+  "input-listen" "key-wait" "key-down" "key-pressed" "key-available" "read-key"
+  "read-char" "mouse-pos" "mouse-x" "mouse-y" "mouse-down" "scroll-to"
+  "scroll-by" "console-log" "error" "printf" "help" "version" "type" "typeof"
+  "sleep" "random" "clear" "aliases" "assert" "debug" "describe" "inspect" "seq"
+  "seq-char" "keys" "values" "watch" "confirm" "choose" "exec" "validate"
+  "getopts" "sudo" "btw" "progress" "prompt" "project" "explore" "theme"))
+
+; END built-in commands
@@ -0,0 +1,80 @@
+; ApX Tree-sitter textobject queries for nvim-treesitter-textobjects
+
+; Functions: fn, macro, object methods and lambdas
+(function_definition
+  (block) @function.inner) @function.outer
+
+(macro_definition
+  (block) @function.inner) @function.outer
+
+(object_method
+  (block) @function.inner) @function.outer
+
+(lambda
+  (block) @function.inner) @function.outer
+
+(closure) @function.outer
+
+; Tests
+(test_definition
+  (block) @test.inner) @test.outer
+
+; Blocks: the statements between the braces
+(block) @block.outer
+
+(block
+  "{"
+  .
+  (_) @_start @_end
+  (_)? @_end
+  .
+  "}"
+  (#make-range! "block.inner" @_start @_end))
+
+; Parameters and call arguments, with their separating comma as outer
+(parameter_list
+  "," @_start
+  .
+  (_) @parameter.inner
+  (#make-range! "parameter.outer" @_start @parameter.inner))
+
+(parameter_list
+  .
+  (_) @parameter.inner
+  .
+  ","? @_end
+  (#make-range! "parameter.outer" @parameter.inner @_end))
+
+(argument_list
+  "," @_start
+  .
+  (_) @parameter.inner
+  (#make-range! "parameter.outer" @_start @parameter.inner))
+
+(argument_list
+  .
+  (_) @parameter.inner
+  .
+  ","? @_end
+  (#make-range! "parameter.outer" @parameter.inner @_end))
+
+; Command arguments are whitespace separated
+(argument) @parameter.inner @parameter.outer
+
+; Calls: add(1, 2) and commands
+(call_expression) @call.outer
+
+(call_expression
+  (argument_list
+    "("
+    .
+    (_) @_start @_end
+    (_)? @_end
+    .
+    ")"
+    (#make-range! "call.inner" @_start @_end)))
+
+(command_expression) @call.outer
+
+; Comments
+(comment) @comment.outer
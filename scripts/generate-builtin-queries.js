@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+// Regenerates the built-in command patterns from builtins.json:
+// - queries/highlights.scm: one #any-of? pattern per category, captured as
+//   @function.builtin.<category> so themes can fall back to @function.builtin
+// - queries/tags.scm: references to commands that are not built-ins
+//
+// Usage: node scripts/generate-builtin-queries.js
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const MANIFEST = path.join(ROOT, 'builtins.json');
+const QUERIES = path.join(ROOT, 'queries');
+
+const BEGIN = '; BEGIN built-in commands (generated from builtins.json - do not edit)';
+const END = '; END built-in commands';
+const LINE_WIDTH = 80;
+
+// Quoted names wrapped to LINE_WIDTH, indented for the predicate body
+function wrapNames(names, indent) {
+  const lines = [];
+  let line = indent;
+  for (const name of names) {
+    const quoted = JSON.stringify(name);
+    if (line.length > indent.length && line.length + 1 + quoted.length > LINE_WIDTH) {
+      lines.push(line);
+      line = indent;
+    }
+    line += (line.length > indent.length ? ' ' : '') + quoted;
+  }
+  lines.push(line);
+  return lines.join('\n');
+}
+
+function categoryPattern(category, { description, commands }) {
+  const capture = `@function.builtin.${category}`;
+  return [
+    `; ${description}`,
+    '((command_name',
+    `  (identifier) ${capture})`,
+    ` (#any-of? ${capture}`,
+    `${wrapNames(commands, '  ')}))`,
+  ].join('\n');
+}
+
+function highlightPatterns(manifest) {
+  return Object.entries(manifest.categories)
+    .map(([category, entry]) => categoryPattern(category, entry));
+}
+
+function tagPatterns(manifest) {
+  const builtins = Object.values(manifest.categories).flatMap((entry) => entry.commands);
+  return [[
+    '((command_name',
+    '  (identifier) @name) @reference.call',
+    ' (#not-any-of? @name',
+    `${wrapNames(builtins, '  ')}))`,
+  ].join('\n')];
+}
+
+// Replaces the text between the BEGIN/END markers of a query file
+function updateQuery(file, patterns) {
+  const query = fs.readFileSync(file, 'utf8');
+  const start = query.indexOf(BEGIN);
+  const end = query.indexOf(END);
+  if (start === -1 || end === -1 || end < start) {
+    console.error(`${path.relative(ROOT, file)}: missing "${BEGIN}" / "${END}" markers`);
+    process.exit(1);
+  }
+  const generated = [BEGIN, ...patterns, END].join('\n\n');
+  fs.writeFileSync(file, query.slice(0, start) + generated + query.slice(end + END.length));
+}
+
+const manifest = JSON.parse(fs.readFileSync(MANIFEST, 'utf8'));
+updateQuery(path.join(QUERIES, 'highlights.scm'), highlightPatterns(manifest));
+updateQuery(path.join(QUERIES, 'tags.scm'), tagPatterns(manifest));
@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+// Writes bindings/node/index.d.ts from src/node-types.json: one interface per
+// named node type, mirroring the facade classes built in bindings/node/ast.js.
+//
+// Usage: node scripts/generate-types.js (run after `tree-sitter generate`)
+
+const fs = require('fs');
+const path = require('path');
+const { AstNode, camelCase, className, childTypes } = require('../bindings/node/ast');
+
+const ROOT = path.join(__dirname, '..');
+const NODE_TYPES = path.join(ROOT, 'src', 'node-types.json');
+const OUTPUT = path.join(ROOT, 'bindings', 'node', 'index.d.ts');
+
+const HEADER = `// Generated by scripts/generate-types.js from src/node-types.json - do not edit.
+
+// Trees come from tree-sitter or web-tree-sitter, both optional peers, so they
+// are typed by the members used here rather than by importing either package.
+
+export interface Point {
+  row: number;
+  column: number;
+}
+
+export interface Edit {
+  startIndex: number;
+  oldEndIndex: number;
+  newEndIndex: number;
+  startPosition: Point;
+  oldEndPosition: Point;
+  newEndPosition: Point;
+}
+
+export interface Tree {
+  readonly rootNode: SyntaxNode;
+  edit(edit: Edit): unknown;
+}
+
+export interface SyntaxNode {
+  readonly type: string;
+  readonly text: string;
+  readonly startIndex: number;
+  readonly endIndex: number;
+  readonly startPosition: Point;
+  readonly endPosition: Point;
+  readonly parent: SyntaxNode | null;
+  readonly children: SyntaxNode[];
+  readonly namedChildren: SyntaxNode[];
+  child(index: number): SyntaxNode | null;
+  descendantsOfType(types: string | string[], startPosition?: Point, endPosition?: Point): SyntaxNode[];
+  hasError(): boolean;
+  toString(): string;
+}
+
+export declare const name: "apx";
+export declare const nodeTypeInfo: NodeTypeInfo[];
+export declare const builtinCommands: BuiltinCatalog;
+
+/** Set when no native addon was built and the WASM build is used instead. */
+export declare const wasm: true | undefined;
+
+/** Loads the WASM build; must be awaited before parse() when \`wasm\` is set. */
+export declare function init(options?: LoadOptions): Promise<void>;
+
+/** Parses ApX source; pass the edited previous tree to reparse incrementally. */
+export declare function parse(source: string, oldTree?: Tree): Tree;
+
+/** Wraps a tree or syntax node in its typed facade. */
+export declare function wrap(tree: Tree): SourceFileNode;
+export declare function wrap(node: SyntaxNode): AnyNode;
+
+export declare function definitions(tree: Tree | SyntaxNode): Definition[];
+export declare function imports(tree: Tree | SyntaxNode): Import[];
+export declare function commandsUsed(tree: Tree | SyntaxNode): string[];
+
+/** Same as LoadOptions in bindings/wasm. */
+export interface LoadOptions {
+  /** File path (Node) or URL (browser) of tree-sitter-apx.wasm. */
+  wasmPath?: string;
+  /** Passed to Parser.init to locate web-tree-sitter's own tree-sitter.wasm. */
+  locateFile?: (scriptName: string, scriptDirectory: string) => string;
+}
+
+export interface NodeTypeInfo {
+  type: string;
+  named: boolean;
+  fields?: Record<string, NodeTypeChildren>;
+  children?: NodeTypeChildren;
+  subtypes?: { type: string; named: boolean }[];
+}
+
+export interface NodeTypeChildren {
+  multiple: boolean;
+  required: boolean;
+  types: { type: string; named: boolean }[];
+}
+
+export interface BuiltinCatalog {
+  version: string;
+  categories: Record<string, { description: string; commands: string[] }>;
+}
+
+export interface Definition {
+  kind: "function" | "macro" | "alias" | "enum" | "object" | "method" | "test";
+  name: string | null;
+  node: AnyNode;
+}
+
+export interface Import {
+  kind: "use" | "from" | "source";
+  source: string | null;
+  items: { name: string; alias: string | null }[];
+  wildcard: boolean;
+  alias: string | null;
+  node: ImportStatementNode | SourceStatementNode;
+}
+
+export interface AstNode<T extends string = string> {
+  readonly node: SyntaxNode;
+  readonly type: T;
+  readonly text: string;
+  readonly startIndex: number;
+  readonly endIndex: number;
+  readonly startPosition: Point;
+  readonly endPosition: Point;
+  readonly parent: AnyNode | null;
+  readonly children: AnyNode[];
+  hasError(): boolean;
+  childOfType<K extends NodeType>(type: K): NodeTypeMap[K] | null;
+  childrenOfType<K extends NodeType>(type: K): NodeTypeMap[K][];
+}
+`;
+
+function nodeInterface(info) {
+  const members = [];
+  for (const [type, multiple] of childTypes(info)) {
+    const getter = camelCase(type);
+    if (getter in AstNode.prototype) continue;
+    members.push(`  readonly ${getter}: ${className(type)} | null;`);
+    if (multiple && !(`${getter}s` in AstNode.prototype)) {
+      members.push(`  readonly ${getter}s: ${className(type)}[];`);
+    }
+  }
+  const body = members.length ? `\n${members.join('\n')}\n` : '';
+  return `export interface ${className(info.type)} extends AstNode<"${info.type}"> {${body}}`;
+}
+
+const named = JSON.parse(fs.readFileSync(NODE_TYPES, 'utf8'))
+  .filter((info) => info.named && !info.subtypes);
+
+const output = [
+  HEADER,
+  ...named.map(nodeInterface),
+  `export interface NodeTypeMap {\n${named.map((info) => `  ${info.type}: ${className(info.type)};`).join('\n')}\n}`,
+  'export type NodeType = keyof NodeTypeMap;',
+  'export type AnyNode = NodeTypeMap[NodeType];',
+  '',
+].join('\n\n').replace(/\n{3,}$/, '\n');
+
+fs.writeFileSync(OUTPUT, output);
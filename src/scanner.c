@@ -0,0 +1,478 @@
+#include "tree_sitter/parser.h"
+
+#include <stdlib.h>
+#include <string.h>
+
+// External tokens - must match the order of `externals` in grammar.js
+enum TokenType {
+  NEWLINE,
+  LINE_CONTINUATION,
+  TRIPLE_STRING_CONTENT,
+  RAW_STRING,
+  HEREDOC_START,
+  HEREDOC_CONTENT,
+  HEREDOC_END,
+  HEREDOC_BODY_START,
+  FILTER_NAME,
+  OBJECT_TYPE,
+  DURATION_UNIT,
+  FILESIZE_UNIT,
+};
+
+#define HEREDOC_DELIMITER_MAX 64
+
+// Commands whose argument is read as a row predicate: where size > 1mb
+static const char *const FILTER_COMMANDS[] = {
+  "where", "filter", "any", "all", "reject", "find", "each", "map",
+};
+
+#define FILTER_COMMAND_COUNT (sizeof(FILTER_COMMANDS) / sizeof(FILTER_COMMANDS[0]))
+#define FILTER_COMMAND_MAX 6
+
+// Units of duration and filesize literals: 5s, 2h30m, 10mb, 1.5GiB
+static const char *const DURATION_UNITS[] = {
+  "ns", "us", "ms", "s", "sec", "min", "m", "h", "hr", "d", "wk",
+};
+
+#define DURATION_UNIT_COUNT (sizeof(DURATION_UNITS) / sizeof(DURATION_UNITS[0]))
+#define UNIT_MAX 3
+
+// State of the heredoc being scanned, kept between tokens so the body knows
+// which line ends it. The delimiter is cleared at heredoc_end, so a nonzero
+// length means a body is still to come
+typedef struct {
+  bool strip_indent;  // <<-EOF: the closing delimiter may be indented
+  bool raw;           // <<'EOF': no interpolation in the body
+  uint8_t delimiter_length;
+  char delimiter[HEREDOC_DELIMITER_MAX];
+} Scanner;
+
+static void advance(TSLexer *lexer) { lexer->advance(lexer, false); }
+static void skip(TSLexer *lexer) { lexer->advance(lexer, true); }
+
+static bool is_blank(int32_t c) { return c == ' ' || c == '\t' || c == '\r'; }
+
+static bool is_word_start(int32_t c) {
+  return (c >= 'a' && c <= 'z') || (c >= 'A' && c <= 'Z') || c == '_';
+}
+
+static bool is_word_char(int32_t c) { return is_word_start(c) || (c >= '0' && c <= '9'); }
+
+// A continuation line starts with a pipe: `| cmd`, `|b`, `|>`, `|?`, `|!`.
+// `||` and lambda parameters (`|$x| ...`, `|{a, b}| ...`) do not continue
+// the previous line.
+static bool at_pipe_operator(TSLexer *lexer) {
+  if (lexer->lookahead != '|') return false;
+  advance(lexer);
+  switch (lexer->lookahead) {
+    case '|':
+    case '$':
+    case '{':
+    case '[':
+    case '(':
+      return false;
+    default:
+      return true;
+  }
+}
+
+// Decides whether a newline terminates the statement. A newline followed by a
+// line that starts with a pipe operator, or preceded by a backslash, is
+// emitted as a _line_continuation extra instead of a _newline terminator.
+static bool scan_newline(TSLexer *lexer) {
+  // Backslash continuation: `cp a \` + newline
+  if (lexer->lookahead == '\\') {
+    advance(lexer);
+    while (is_blank(lexer->lookahead)) advance(lexer);
+    if (lexer->lookahead != '\n') return false;
+    advance(lexer);
+    lexer->result_symbol = LINE_CONTINUATION;
+    return true;
+  }
+
+  if (lexer->lookahead != '\n') return false;
+  advance(lexer);
+  lexer->mark_end(lexer);
+
+  // Peek past indentation, blank lines and comment-only lines without
+  // consuming them
+  for (;;) {
+    while (is_blank(lexer->lookahead) || lexer->lookahead == '\n') advance(lexer);
+    if (lexer->lookahead != '#') break;
+    while (lexer->lookahead != '\n' && !lexer->eof(lexer)) advance(lexer);
+  }
+
+  lexer->result_symbol = at_pipe_operator(lexer) ? LINE_CONTINUATION : NEWLINE;
+  return true;
+}
+
+// Counts and consumes a run of double quotes.
+static unsigned consume_quotes(TSLexer *lexer) {
+  unsigned count = 0;
+  while (lexer->lookahead == '"') {
+    advance(lexer);
+    count++;
+  }
+  return count;
+}
+
+// `$name` and `${...}` start an interpolation; any other `$` is literal text.
+static bool at_interpolation(TSLexer *lexer) {
+  return lexer->lookahead == '{' || is_word_start(lexer->lookahead);
+}
+
+// Text of a """ string up to the next escape, interpolation or closing quotes.
+// In a run of more than three quotes the last three close the string, so
+// """say "hi"""" ends with a quote.
+static bool scan_triple_string_content(TSLexer *lexer) {
+  bool has_content = false;
+  lexer->result_symbol = TRIPLE_STRING_CONTENT;
+
+  while (!lexer->eof(lexer)) {
+    switch (lexer->lookahead) {
+      case '\\':
+        lexer->mark_end(lexer);
+        return has_content;
+
+      case '$':
+        lexer->mark_end(lexer);
+        advance(lexer);
+        if (at_interpolation(lexer)) return has_content;
+        has_content = true;
+        break;
+
+      case '"':
+        if (has_content) {
+          lexer->mark_end(lexer);
+          if (consume_quotes(lexer) >= 3) return true;
+          break;
+        }
+        // Take the first quote as content unless exactly three remain
+        advance(lexer);
+        lexer->mark_end(lexer);
+        switch (consume_quotes(lexer)) {
+          case 0:
+          case 1:
+            has_content = true;
+            break;
+          case 2:
+            return false;
+          default:
+            return true;
+        }
+        break;
+
+      default:
+        advance(lexer);
+        has_content = true;
+        break;
+    }
+  }
+
+  lexer->mark_end(lexer);
+  return has_content;
+}
+
+// Raw string: r"...", r#"..."#, r##"..."## - ends at a quote followed by as
+// many hashes as it opened with, so r#"say "hi""# may contain quotes.
+// Called with the leading r already consumed.
+static bool scan_raw_string(TSLexer *lexer) {
+  unsigned hashes = 0;
+  while (lexer->lookahead == '#') {
+    advance(lexer);
+    hashes++;
+  }
+  if (lexer->lookahead != '"') return false;
+  advance(lexer);
+
+  while (!lexer->eof(lexer)) {
+    if (lexer->lookahead != '"') {
+      advance(lexer);
+      continue;
+    }
+    advance(lexer);
+    unsigned closing = 0;
+    while (closing < hashes && lexer->lookahead == '#') {
+      advance(lexer);
+      closing++;
+    }
+    if (closing == hashes) {
+      lexer->result_symbol = RAW_STRING;
+      return true;
+    }
+  }
+  return false;
+}
+
+static bool is_filter_command(const char *word, unsigned length) {
+  for (unsigned i = 0; i < FILTER_COMMAND_COUNT; i++) {
+    if (strlen(FILTER_COMMANDS[i]) == length && strncmp(FILTER_COMMANDS[i], word, length) == 0) {
+      return true;
+    }
+  }
+  return false;
+}
+
+static bool is_letter(int32_t c) { return (c >= 'a' && c <= 'z') || (c >= 'A' && c <= 'Z'); }
+
+static bool is_duration_unit(const char *unit, unsigned length) {
+  for (unsigned i = 0; i < DURATION_UNIT_COUNT; i++) {
+    if (strlen(DURATION_UNITS[i]) == length && strncmp(DURATION_UNITS[i], unit, length) == 0) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// b, kb, KiB, MB, ... in any case
+static bool is_filesize_unit(const char *unit, unsigned length) {
+  if (length == 0 || (unit[length - 1] != 'b' && unit[length - 1] != 'B')) return false;
+  if (length == 1) return true;
+  if (!strchr("kKmMgGtTpP", unit[0])) return false;
+  return length == 2 || (length == 3 && (unit[1] == 'i' || unit[1] == 'I'));
+}
+
+// Unit right after the digits of a number. The whole run of letters must be a
+// unit, so 5sec is never 5s followed by ec; a digit may follow for 2h30m.
+static bool scan_unit(TSLexer *lexer, const bool *valid_symbols) {
+  char unit[UNIT_MAX];
+  unsigned length = 0;
+  while (is_letter(lexer->lookahead)) {
+    if (length == UNIT_MAX) return false;
+    unit[length++] = (char)lexer->lookahead;
+    advance(lexer);
+  }
+  if (lexer->lookahead == '_' || lexer->lookahead == '-') return false;
+
+  if (valid_symbols[DURATION_UNIT] && is_duration_unit(unit, length)) {
+    lexer->result_symbol = DURATION_UNIT;
+    return true;
+  }
+  if (valid_symbols[FILESIZE_UNIT] && is_filesize_unit(unit, length)) {
+    lexer->result_symbol = FILESIZE_UNIT;
+    return true;
+  }
+  return false;
+}
+
+// Words the grammar cannot classify on its own: the r of a raw string, filter
+// commands and the type of an object construction. Filter names stay ordinary
+// identifiers when used as calls, keys or fields (map($xs, $f), { all: 1 }),
+// and a capitalized name is a type only in front of a record (Dog { ... }).
+// Any other word is left to the identifier token.
+static bool scan_word(TSLexer *lexer, const bool *valid_symbols) {
+  char word[FILTER_COMMAND_MAX];
+  unsigned length = 0;
+  bool capitalized = lexer->lookahead >= 'A' && lexer->lookahead <= 'Z';
+
+  if (lexer->lookahead == 'r') {
+    advance(lexer);
+    if (lexer->lookahead == '"' || lexer->lookahead == '#') {
+      return valid_symbols[RAW_STRING] && scan_raw_string(lexer);
+    }
+    word[length++] = 'r';
+  }
+
+  while (is_word_char(lexer->lookahead) || lexer->lookahead == '-') {
+    if (length < FILTER_COMMAND_MAX) word[length] = (char)lexer->lookahead;
+    length++;
+    advance(lexer);
+  }
+  lexer->mark_end(lexer);
+
+  if (valid_symbols[FILTER_NAME] && length <= FILTER_COMMAND_MAX && is_filter_command(word, length)) {
+    switch (lexer->lookahead) {
+      case '(':
+      case ':':
+      case '.':
+      case '=':
+        break;
+      default:
+        lexer->result_symbol = FILTER_NAME;
+        return true;
+    }
+  }
+
+  if (valid_symbols[OBJECT_TYPE] && capitalized) {
+    while (is_blank(lexer->lookahead)) advance(lexer);
+    if (lexer->lookahead == '{') {
+      lexer->result_symbol = OBJECT_TYPE;
+      return true;
+    }
+  }
+  return false;
+}
+
+// Heredoc opener: <<EOF, <<-EOF or <<'EOF'. The body starts on the next line;
+// the rest of this one goes on with the statement.
+static bool scan_heredoc_start(Scanner *scanner, TSLexer *lexer) {
+  advance(lexer);
+  if (lexer->lookahead != '<') return false;
+  advance(lexer);
+
+  bool strip_indent = false;
+  if (lexer->lookahead == '-') {
+    strip_indent = true;
+    advance(lexer);
+  }
+
+  int32_t quote = 0;
+  if (lexer->lookahead == '\'' || lexer->lookahead == '"') {
+    quote = lexer->lookahead;
+    advance(lexer);
+  }
+
+  char delimiter[HEREDOC_DELIMITER_MAX];
+  uint8_t length = 0;
+  while (is_word_char(lexer->lookahead)) {
+    if (length == HEREDOC_DELIMITER_MAX) return false;
+    delimiter[length++] = (char)lexer->lookahead;
+    advance(lexer);
+  }
+  if (length == 0) return false;
+
+  if (quote) {
+    if (lexer->lookahead != quote) return false;
+    advance(lexer);
+  }
+
+  scanner->strip_indent = strip_indent;
+  scanner->raw = quote != 0;
+  scanner->delimiter_length = length;
+  memcpy(scanner->delimiter, delimiter, length);
+  lexer->result_symbol = HEREDOC_START;
+  return true;
+}
+
+// Consumes the current line if it is the closing delimiter. Returns false as
+// soon as the line differs; `consumed` reports whether anything was read.
+static bool scan_heredoc_delimiter(Scanner *scanner, TSLexer *lexer, bool *consumed) {
+  *consumed = false;
+  if (scanner->strip_indent) {
+    while (is_blank(lexer->lookahead)) {
+      advance(lexer);
+      *consumed = true;
+    }
+  }
+  for (uint8_t i = 0; i < scanner->delimiter_length; i++) {
+    if (lexer->lookahead != scanner->delimiter[i]) return false;
+    advance(lexer);
+    *consumed = true;
+  }
+  while (is_blank(lexer->lookahead)) advance(lexer);
+  return lexer->lookahead == '\n' || lexer->eof(lexer);
+}
+
+// Heredoc body text up to an interpolation or the closing delimiter line,
+// which is emitted as heredoc_end.
+static bool scan_heredoc_body(Scanner *scanner, TSLexer *lexer) {
+  bool has_content = false;
+  bool at_line_start = lexer->get_column(lexer) == 0;
+  lexer->result_symbol = HEREDOC_CONTENT;
+
+  while (!lexer->eof(lexer)) {
+    if (at_line_start) {
+      at_line_start = false;
+      lexer->mark_end(lexer);
+      bool consumed;
+      if (scan_heredoc_delimiter(scanner, lexer, &consumed)) {
+        if (has_content) return true;
+        lexer->mark_end(lexer);
+        scanner->delimiter_length = 0;
+        lexer->result_symbol = HEREDOC_END;
+        return true;
+      }
+      if (consumed) has_content = true;
+      continue;
+    }
+
+    switch (lexer->lookahead) {
+      case '$':
+        if (scanner->raw) {
+          advance(lexer);
+          break;
+        }
+        lexer->mark_end(lexer);
+        advance(lexer);
+        if (at_interpolation(lexer)) return has_content;
+        break;
+
+      case '\n':
+        advance(lexer);
+        at_line_start = true;
+        break;
+
+      default:
+        advance(lexer);
+        break;
+    }
+    has_content = true;
+  }
+
+  lexer->mark_end(lexer);
+  return has_content;
+}
+
+void *tree_sitter_apx_external_scanner_create() { return calloc(1, sizeof(Scanner)); }
+
+void tree_sitter_apx_external_scanner_destroy(void *payload) { free(payload); }
+
+unsigned tree_sitter_apx_external_scanner_serialize(void *payload, char *buffer) {
+  Scanner *scanner = (Scanner *)payload;
+  buffer[0] = (char)scanner->strip_indent;
+  buffer[1] = (char)scanner->raw;
+  buffer[2] = (char)scanner->delimiter_length;
+  memcpy(&buffer[3], scanner->delimiter, scanner->delimiter_length);
+  return 3 + scanner->delimiter_length;
+}
+
+void tree_sitter_apx_external_scanner_deserialize(void *payload, const char *buffer, unsigned length) {
+  Scanner *scanner = (Scanner *)payload;
+  memset(scanner, 0, sizeof(Scanner));
+  if (length < 3) return;
+  scanner->strip_indent = buffer[0];
+  scanner->raw = buffer[1];
+  scanner->delimiter_length = (uint8_t)buffer[2];
+  memcpy(scanner->delimiter, &buffer[3], scanner->delimiter_length);
+}
+
+bool tree_sitter_apx_external_scanner_scan(void *payload, TSLexer *lexer, const bool *valid_symbols) {
+  Scanner *scanner = (Scanner *)payload;
+
+  // String bodies never allow a statement terminator; during error recovery
+  // every symbol is valid, so that check also keeps the bodies from swallowing
+  // the rest of the file
+  if (!valid_symbols[NEWLINE]) {
+    if (valid_symbols[TRIPLE_STRING_CONTENT]) return scan_triple_string_content(lexer);
+    if (valid_symbols[HEREDOC_CONTENT] || valid_symbols[HEREDOC_END]) {
+      return scan_heredoc_body(scanner, lexer);
+    }
+  }
+
+  // Units must touch their number; every symbol is valid during error
+  // recovery, but a unit never shares a state with a string body
+  if ((valid_symbols[DURATION_UNIT] || valid_symbols[FILESIZE_UNIT]) &&
+      !valid_symbols[TRIPLE_STRING_CONTENT] && is_letter(lexer->lookahead)) {
+    return scan_unit(lexer, valid_symbols);
+  }
+
+  while (is_blank(lexer->lookahead)) skip(lexer);
+
+  // End of a heredoc opener line: the statement holding it ends in the body
+  if (valid_symbols[HEREDOC_BODY_START] && scanner->delimiter_length > 0 && lexer->lookahead == '\n') {
+    advance(lexer);
+    lexer->result_symbol = HEREDOC_BODY_START;
+    return true;
+  }
+  if (valid_symbols[NEWLINE] && (lexer->lookahead == '\\' || lexer->lookahead == '\n')) {
+    return scan_newline(lexer);
+  }
+  if (is_word_start(lexer->lookahead) &&
+      (valid_symbols[RAW_STRING] || valid_symbols[FILTER_NAME] || valid_symbols[OBJECT_TYPE])) {
+    return scan_word(lexer, valid_symbols);
+  }
+  if (valid_symbols[HEREDOC_START] && lexer->lookahead == '<') {
+    return scan_heredoc_start(scanner, lexer);
+  }
+  return false;
+}
@@ -0,0 +1,108 @@
+// Tests for the Node API in bindings/node/api.js. Parsing needs the native
+// addon (built by `npm run test:bindings`, with the `tree-sitter` peer
+// installed) or the WASM build (`npm run build-wasm` with `web-tree-sitter`
+// installed); without either, the parse tests fail with the reason.
+//
+// Usage: npm run test:bindings
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const apx = require('../../bindings/node');
+
+const SOURCE = `use util::{a, b as c}
+from ../shared/io import read_all
+source "lib/env.apx" as env
+
+fn greet(name) {
+  echo "hi $name" | upper
+}
+
+enum Mode { fast, slow }
+
+test "greets by name" {
+  greet world
+  ls | where size > 1mb | sort
+}
+`;
+
+let parsed = null;
+
+async function parseSource() {
+  if (!parsed) {
+    try {
+      await apx.init();
+      parsed = apx.parse(SOURCE);
+    } catch (error) {
+      throw new Error(
+        'no parser: build the native addon with `tree-sitter` installed, or run `npm run build-wasm` with `web-tree-sitter` installed',
+        { cause: error },
+      );
+    }
+  }
+  return parsed;
+}
+
+describe('parse', () => {
+  test('parses without errors', async () => {
+    const tree = await parseSource();
+    assert.equal(tree.rootNode.type, 'source_file');
+    assert.equal(tree.rootNode.hasError(), false);
+  });
+
+  test('wraps the tree in typed nodes', async () => {
+    const tree = await parseSource();
+    const root = apx.wrap(tree);
+    assert.equal(root.type, 'source_file');
+    assert.deepEqual(root.functionDefinitions.map((fn) => fn.identifier.text), ['greet']);
+  });
+
+  test('definitions', async () => {
+    const tree = await parseSource();
+    assert.deepEqual(
+      apx.definitions(tree).map(({ kind, name }) => ({ kind, name })),
+      [
+        { kind: 'function', name: 'greet' },
+        { kind: 'enum', name: 'Mode' },
+        { kind: 'test', name: 'greets by name' },
+      ],
+    );
+  });
+
+  test('imports', async () => {
+    const tree = await parseSource();
+    assert.deepEqual(
+      apx.imports(tree).map(({ kind, source, items, wildcard, alias }) => ({ kind, source, items, wildcard, alias })),
+      [
+        {
+          kind: 'use',
+          source: 'util',
+          items: [{ name: 'a', alias: null }, { name: 'b', alias: 'c' }],
+          wildcard: false,
+          alias: null,
+        },
+        { kind: 'from', source: '../shared/io', items: [{ name: 'read_all', alias: null }], wildcard: false, alias: null },
+        { kind: 'source', source: 'lib/env.apx', items: [], wildcard: false, alias: 'env' },
+      ],
+    );
+  });
+
+  test('commandsUsed', async () => {
+    const tree = await parseSource();
+    assert.deepEqual(apx.commandsUsed(tree), ['echo', 'upper', 'greet', 'ls', 'where', 'sort']);
+  });
+});
+
+test('imports without a source', () => {
+  // What error recovery can leave behind: `use` with nothing after it
+  const statement = {
+    type: 'import_statement',
+    namedChildren: [],
+    child: () => ({ type: 'use' }),
+  };
+  const root = { descendantsOfType: () => [statement] };
+
+  const [result] = apx.imports(root);
+  assert.equal(result.kind, 'use');
+  assert.equal(result.source, null);
+  assert.deepEqual(result.items, []);
+});
@@ -0,0 +1,33 @@
+// Tests the WASM fallback of bindings/node/index.js. Needs tree-sitter-apx.wasm
+// (built by `npm run test:bindings`) and the `web-tree-sitter` peer.
+//
+// node --test runs each file in its own process, so hiding the native addon
+// here leaves api.test.js on it.
+//
+// Usage: npm run test:bindings
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function (request, ...rest) {
+  if (request.endsWith('/tree_sitter_apx_binding')) {
+    const error = new Error(`Cannot find module '${request}'`);
+    error.code = 'MODULE_NOT_FOUND';
+    throw error;
+  }
+  return resolveFilename.call(this, request, ...rest);
+};
+
+const apx = require('../../bindings/node');
+
+test('falls back to the WASM build', async () => {
+  assert.equal(apx.wasm, true);
+  await apx.init();
+
+  const tree = apx.parse('ls | where size > 1mb\n');
+  assert.equal(tree.rootNode.type, 'source_file');
+  assert.equal(tree.rootNode.hasError(), false);
+  assert.deepEqual(apx.commandsUsed(tree), ['ls', 'where']);
+});